@@ -61,5 +61,66 @@ export default [
         extensions
       })
     ]
+  },
+  // Core without any plugins, which are imported from the plugins build
+  {
+    input: 'src/core.js',
+    output: [
+      { file: 'dist/core.js', format: 'cjs', sourcemap: true },
+      { file: 'dist/core.esm.js', format: 'es', sourcemap: true }
+    ],
+    plugins: [
+      nodeResolve({ extensions }),
+      commonjs(),
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+        extensions
+      })
+    ]
+  },
+  // Plugins for the core build, kept out of it so it stays small
+  {
+    input: 'src/plugins/index.js',
+    output: [
+      { file: 'dist/plugins.js', format: 'cjs', sourcemap: true },
+      { file: 'dist/plugins.esm.js', format: 'es', sourcemap: true }
+    ],
+    plugins: [
+      nodeResolve({ extensions }),
+      commonjs(),
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+        extensions
+      })
+    ]
+  },
+  // Service worker, served by the site next to its pages
+  {
+    input: 'src/sw.js',
+    output: [
+      { file: 'dist/quacktize-sw.js', format: 'iife', sourcemap: true }
+    ],
+    plugins: [
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+        extensions
+      }),
+      terser()
+    ]
+  },
+  // Node entry point for build-time tooling
+  {
+    input: 'src/node.js',
+    external: ['jsdom', 'fs/promises', 'path'],
+    output: [
+      { file: 'dist/node.js', format: 'cjs', sourcemap: true },
+      { file: 'dist/node.esm.js', format: 'es', sourcemap: true }
+    ],
+    plugins: [
+      nodeResolve({ extensions })
+    ]
   }
 ];
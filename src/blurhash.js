@@ -0,0 +1,146 @@
+/**
+ * BlurHash decoder
+ * Turns a BlurHash string into RGBA pixels for lazy image placeholders.
+ * See https://github.com/woltapp/blurhash for the format.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * Decode a base 83 string
+ * @param {string} str - Encoded string
+ * @returns {number} - Decoded value
+ * @private
+ */
+function decode83(str) {
+  let value = 0;
+  for (let i = 0; i < str.length; i++) {
+    value = value * 83 + DIGITS.indexOf(str[i]);
+  }
+  return value;
+}
+
+/**
+ * Convert an sRGB channel to linear light
+ * @private
+ */
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear light channel to sRGB
+ * @private
+ */
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+/**
+ * Raise to a power while keeping the sign
+ * @private
+ */
+function signPow(value, exp) {
+  return (value < 0 ? -1 : 1) * Math.pow(Math.abs(value), exp);
+}
+
+/**
+ * Decode the average color component
+ * @private
+ */
+function decodeDC(value) {
+  return [
+    sRGBToLinear(value >> 16),
+    sRGBToLinear((value >> 8) & 255),
+    sRGBToLinear(value & 255)
+  ];
+}
+
+/**
+ * Decode an AC color component
+ * @private
+ */
+function decodeAC(value, maximumValue) {
+  const quantR = Math.floor(value / (19 * 19));
+  const quantG = Math.floor(value / 19) % 19;
+  const quantB = value % 19;
+
+  return [
+    signPow((quantR - 9) / 9, 2) * maximumValue,
+    signPow((quantG - 9) / 9, 2) * maximumValue,
+    signPow((quantB - 9) / 9, 2) * maximumValue
+  ];
+}
+
+/**
+ * Check whether a string is a well-formed BlurHash
+ * @param {string} hash - BlurHash string
+ * @returns {boolean} - Whether the hash can be decoded
+ */
+export function isBlurHash(hash) {
+  if (!hash || hash.length < 6) return false;
+  if (!Array.from(hash).every(char => DIGITS.includes(char))) return false;
+
+  const sizeFlag = decode83(hash[0]);
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  const numX = (sizeFlag % 9) + 1;
+  return hash.length === 4 + 2 * numX * numY;
+}
+
+/**
+ * Decode a BlurHash into RGBA pixels
+ * @param {string} hash - BlurHash string
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {number} [punch=1] - Contrast multiplier
+ * @returns {Uint8ClampedArray} - RGBA pixel data, ready for ImageData
+ */
+export function decodeBlurHash(hash, width, height, punch = 1) {
+  if (!isBlurHash(hash)) {
+    throw new Error(`Invalid BlurHash: ${hash}`);
+  }
+
+  const sizeFlag = decode83(hash[0]);
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  const numX = (sizeFlag % 9) + 1;
+  const maximumValue = (decode83(hash[1]) + 1) / 166;
+
+  const colors = [];
+  for (let i = 0; i < numX * numY; i++) {
+    colors.push(i === 0
+      ? decodeDC(decode83(hash.substring(2, 6)))
+      : decodeAC(decode83(hash.substring(4 + i * 2, 6 + i * 2)), maximumValue * punch));
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let j = 0; j < numY; j++) {
+        for (let i = 0; i < numX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const color = colors[i + j * numX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+
+      const offset = 4 * (x + y * width);
+      pixels[offset] = linearToSRGB(r);
+      pixels[offset + 1] = linearToSRGB(g);
+      pixels[offset + 2] = linearToSRGB(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
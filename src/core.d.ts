@@ -0,0 +1,141 @@
+/**
+ * The core build, without any plugins registered. Methods that plugins add
+ * are declared on the class of the main entry.
+ */
+import type {
+  QuacktizeOptions,
+  QuacktizePlugin,
+  QuacktizeMetrics,
+  WebVitalMetric,
+  QuacktizeTaskOptions,
+  QuacktizeDestroyOptions
+} from './quacktize';
+
+export type {
+  PrefetchPattern,
+  ScrollOffset,
+  ScrollEasing,
+  ScrollToOptions,
+  CriticalCSSViewport,
+  FontFallback,
+  PreconnectOrigin,
+  CapabilityTier,
+  QuacktizeProfile,
+  QuacktizeBudgets,
+  QuacktizeOptions,
+  WebVitalName,
+  WebVitalMetric,
+  ReportEvent,
+  ReportPayload,
+  ReporterContext,
+  ReporterFunction,
+  Reporter,
+  QuacktizeMetrics,
+  LazyLoader,
+  FacadeData,
+  Facade,
+  ScriptStrategy,
+  LoadScriptOptions,
+  QuacktizeScriptEventDetail,
+  QuacktizeLazyLoadEventDetail,
+  QuacktizeBudgetStatus,
+  QuacktizeBudgetEventDetail,
+  QuacktizeTierChangeEventDetail,
+  QuacktizePrefetchEventDetail,
+  TaskPriority,
+  QuacktizeTaskOptions,
+  QuacktizeDestroyOptions,
+  QuacktizePluginContext,
+  QuacktizePlugin
+} from './quacktize';
+
+export class Quacktize {
+  /**
+   * Register a plugin for every instance created afterwards
+   * @param plugin - Plugin to register, replaces a registered plugin with the same name
+   * @returns The Quacktize class for chaining
+   */
+  static use(plugin: QuacktizePlugin): typeof Quacktize;
+  
+  /**
+   * Create a new Quacktize instance
+   * @param options - Configuration options
+   */
+  constructor(options?: QuacktizeOptions);
+  
+  /**
+   * Initialize Quacktize with the provided options
+   * @param options - Additional configuration options
+   * @returns The Quacktize instance for chaining
+   */
+  init(options?: QuacktizeOptions): this;
+  
+  /**
+   * Re-scan a root for content the plugins handle
+   * @param root - Root to scan, defaults to the document
+   * @returns The Quacktize instance for chaining
+   */
+  refresh(root?: Document | ShadowRoot | Element): this;
+  
+  /**
+   * Start handling a root the document observer cannot see, such as a shadow root
+   * @param root - Root to observe
+   * @returns The Quacktize instance for chaining
+   */
+  observe(root: Document | ShadowRoot | Element): this;
+  
+  /**
+   * Get current performance metrics
+   * @returns Performance metrics object
+   */
+  getMetrics(): QuacktizeMetrics;
+  
+  /**
+   * Subscribe to Core Web Vitals as they are measured and updated
+   * @param callback - Called with each metric, including ones already measured
+   * @returns Function that unsubscribes the callback
+   */
+  onMetric(callback: (metric: WebVitalMetric) => void): () => void;
+  
+  /**
+   * Run non-critical work in its own task, with `scheduler.postTask()` where available
+   * @param callback - Work to run
+   * @param options - Task options
+   * @returns Promise of the callback's result
+   */
+  schedule<T>(callback: () => T | PromiseLike<T>, options?: QuacktizeTaskOptions): Promise<T>;
+  
+  /**
+   * Let the browser handle input and render before continuing long work
+   * @returns Promise resolved when the work can continue
+   */
+  yieldToMain(): Promise<void>;
+  
+  /**
+   * Update configuration options, enabling or disabling features live
+   * @param options - New configuration options
+   * @returns The Quacktize instance for chaining
+   */
+  updateConfig(options: QuacktizeOptions): this;
+  
+  /**
+   * Suspend DOM watching and the plugins' observers
+   * @returns The Quacktize instance for chaining
+   */
+  pause(): this;
+  
+  /**
+   * Resume work suspended by pause()
+   * @returns The Quacktize instance for chaining
+   */
+  resume(): this;
+  
+  /**
+   * Disconnect every observer and remove every listener
+   * @param options - Teardown options
+   * @returns The Quacktize instance for chaining
+   */
+  destroy(options?: QuacktizeDestroyOptions): this;
+}
+
+export default Quacktize;
@@ -0,0 +1,729 @@
+/**
+ * Quacktize.js core
+ * The optimizer without any features. Features are plugins registered with
+ * `Quacktize.use()` or passed in the `plugins` option, so a bundle only
+ * contains the ones it imports.
+ */
+
+import { toOrigin, getCrossOriginMode } from './utils';
+import { postTask, yieldToMain } from './scheduler';
+
+/**
+ * Plugins registered with Quacktize.use(), shared by every instance
+ * @private
+ */
+let registeredPlugins = [];
+
+/**
+ * Add plugins to a list, replacing any plugin with the same name in place
+ * @param {Array} plugins - Current plugins
+ * @param {Array} additions - Plugins to add
+ * @returns {Array} - New plugin list
+ * @private
+ */
+function mergePlugins(plugins, additions) {
+  const merged = [...plugins];
+  
+  additions.forEach(plugin => {
+    if (!plugin || typeof plugin.name !== 'string') {
+      throw new TypeError('Quacktize plugins need a name');
+    }
+    
+    const index = merged.findIndex(existing => existing.name === plugin.name);
+    if (index === -1) {
+      merged.push(plugin);
+    } else {
+      merged[index] = plugin;
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Main Quacktize class
+ */
+export class Quacktize {
+    /**
+     * Register a plugin for every instance created afterwards
+     * @param {Object} plugin - Plugin to register
+     * @returns {typeof Quacktize} - The class for chaining
+     */
+    static use(plugin) {
+      registeredPlugins = mergePlugins(registeredPlugins, [plugin]);
+      if (plugin.methods) Object.assign(Quacktize.prototype, plugin.methods);
+      return Quacktize;
+    }
+  
+    constructor(options = {}) {
+      const { plugins = [], ...config } = options;
+      
+      this.plugins = mergePlugins(registeredPlugins, plugins);
+      
+      // Plugins passed to this instance only add their methods to it
+      plugins.forEach(plugin => {
+        if (plugin.methods) Object.assign(this, plugin.methods);
+      });
+      
+      // Default configuration
+      this.config = {
+        observeMutations: true,
+        yieldInterval: 10,
+        debug: false
+      };
+      this.plugins.forEach(plugin => Object.assign(this.config, plugin.defaults));
+      Object.assign(this.config, config);
+      
+      // Options the user set, which plugins adjusting the config leave alone
+      this.explicitOptions = new Set(Object.keys(config));
+  
+      this.observedRoots = new Set();
+      this.metricListeners = new Set();
+      this.mutationObserver = null;
+      this.cleanups = [];
+      this.injectedElements = [];
+      this.activePlugins = new Set();
+      this.pluginContexts = new Map();
+      this.featureGenerations = new Map();
+      this.chunkDeadline = 0;
+      this.initialized = false;
+      this.paused = false;
+      this.metrics = {
+        loadTime: 0,
+        resourcesSaved: 0
+      };
+      this.plugins.forEach(plugin => Object.assign(this.metrics, plugin.metrics));
+      this.metrics.vitals = {
+        lcp: null,
+        cls: null,
+        inp: null,
+        fcp: null,
+        ttfb: null
+      };
+      
+      this.plugins.forEach(plugin => {
+        if (plugin.state) Object.assign(this, plugin.state.call(this));
+      });
+    }
+  
+    /**
+     * Initialize the optimizer with provided options
+     * @param {Object} options - Configuration options
+     * @returns {Quacktize} - Instance for chaining
+     */
+    init(options = {}) {
+      if (this.initialized) {
+        this._log('Quacktize already initialized');
+        return this;
+      }
+  
+      // Merge options
+      this.config = { ...this.config, ...options };
+      Object.keys(options).forEach(key => this.explicitOptions.add(key));
+      this._log('Initializing Quacktize with config:', this.config);
+  
+      // Record page load start time
+      this.startTime = performance.now();
+  
+      // Calculate initial metrics
+      this._listen('core', window, 'load', () => {
+        this.metrics.loadTime = performance.now() - this.startTime;
+        this._log(`Page fully loaded in ${this.metrics.loadTime.toFixed(2)}ms`);
+      });
+  
+      // Set up enabled plugins in registration order
+      this.plugins.forEach(plugin => {
+        if (this._isEnabled(plugin)) this._setupPlugin(plugin);
+      });
+      
+      if (this.config.observeMutations) this._initMutationObserver();
+  
+      // Set initialized flag
+      this.initialized = true;
+  
+      return this;
+    }
+  
+    /**
+     * Check whether a plugin is switched on. Plugins without a config flag
+     * of their name are always on.
+     * @param {Object} plugin - Plugin to check
+     * @returns {boolean} - Whether the plugin should be set up
+     * @private
+     */
+    _isEnabled(plugin) {
+      return !(plugin.name in this.config) || Boolean(this.config[plugin.name]);
+    }
+  
+    /**
+     * Get the context object passed to a plugin's hooks
+     * @param {Object} plugin - Plugin the context belongs to
+     * @returns {Object} - Plugin context
+     * @private
+     */
+    _getPluginContext(plugin) {
+      if (this.pluginContexts.has(plugin)) return this.pluginContexts.get(plugin);
+      
+      const optimizer = this;
+      const feature = plugin.name;
+      const context = {
+        optimizer,
+        name: feature,
+        get config() {
+          return optimizer.config;
+        },
+        get metrics() {
+          return optimizer.metrics;
+        },
+        log: (...args) => this._log(`[${feature}]`, ...args),
+        throttle: (func, limit) => this._throttle(func, limit),
+        whenIdle: callback => this._whenIdle(callback),
+        schedule: (callback, options) => this.schedule(callback, options),
+        yield: () => this._yield(feature),
+        forEachChunk: (items, fn) => this._forEachChunk(feature, items, fn),
+        cancelIdle: handle => this._cancelIdle(handle),
+        listen: (target, type, handler, options) => this._listen(feature, target, type, handler, options),
+        addCleanup: fn => this._addCleanup(feature, fn),
+        inject: (element, before) => this._inject(feature, element, before),
+        addResourceHint: (rel, origin, crossOrigin) => this._addResourceHint(feature, rel, origin, crossOrigin),
+        emit: (target, name, detail) => this._emit(target, name, detail),
+        recordMetric: metric => this._recordMetric(metric),
+        getRoots: () => this._getRoots(),
+        queryAll: (root, selector) => this._queryAll(root, selector)
+      };
+      
+      this.pluginContexts.set(plugin, context);
+      return context;
+    }
+  
+    /**
+     * Set a plugin up and mark it active
+     * @param {Object} plugin - Plugin to set up
+     * @private
+     */
+    _setupPlugin(plugin) {
+      this.activePlugins.add(plugin);
+      if (plugin.setup) plugin.setup.call(this, this._getPluginContext(plugin));
+    }
+  
+    /**
+     * Tear a plugin down, removing its observers and listeners
+     * @param {Object} plugin - Plugin to tear down
+     * @param {boolean} [removeInjected=false] - Also remove elements it injected
+     * @private
+     */
+    _teardownPlugin(plugin, removeInjected = false) {
+      this._teardownFeature(plugin.name, removeInjected);
+      if (plugin.teardown) {
+        plugin.teardown.call(this, this._getPluginContext(plugin), { removeInjected });
+      }
+      this.activePlugins.delete(plugin);
+    }
+  
+    /**
+     * Call a hook on every active plugin that has it
+     * @param {string} hook - Hook name
+     * @param {...*} args - Arguments passed after the plugin context
+     * @private
+     */
+    _callHook(hook, ...args) {
+      this.activePlugins.forEach(plugin => {
+        if (plugin[hook]) plugin[hook].call(this, this._getPluginContext(plugin), ...args);
+      });
+    }
+  
+    /**
+     * Store a Core Web Vital and notify subscribers and plugins
+     * @param {Object} metric - Metric with at least a name
+     * @private
+     */
+    _recordMetric(metric) {
+      this.metrics.vitals[metric.name] = metric;
+      this.metricListeners.forEach(callback => callback(metric));
+      this._callHook('onMetric', metric);
+    }
+  
+    /**
+     * Dispatch a bubbling `quacktize:<name>` event on an element
+     * @param {EventTarget} target - Event target
+     * @param {string} name - Event name without prefix
+     * @param {Object} [detail={}] - Event detail
+     * @private
+     */
+    _emit(target, name, detail = {}) {
+      target.dispatchEvent(new CustomEvent(`quacktize:${name}`, {
+        bubbles: true,
+        detail: { element: target, ...detail }
+      }));
+    }
+  
+    /**
+     * Watch the DOM for added and removed content
+     * @private
+     */
+    _initMutationObserver() {
+      if (!('MutationObserver' in window)) return;
+      
+      this._log('Watching for DOM mutations');
+      
+      this.mutationObserver = new MutationObserver((mutations) => {
+        mutations.forEach(mutation => {
+          if (mutation.type === 'attributes') {
+            this._attachNode(mutation.target);
+            return;
+          }
+          
+          mutation.addedNodes.forEach(node => this._attachNode(node));
+          mutation.removedNodes.forEach(node => this._detachNode(node));
+        });
+      });
+  
+      this._addCleanup('observeMutations', () => {
+        this.mutationObserver.disconnect();
+        this.mutationObserver = null;
+      });
+  
+      this._getRoots().forEach(root => this._watchRoot(root));
+    }
+  
+    /**
+     * Start watching a root with the mutation observer
+     * @param {Document|ShadowRoot|Element} root - Root to watch
+     * @private
+     */
+    _watchRoot(root) {
+      this.observedRoots.add(root);
+      
+      if (this.mutationObserver) {
+        this.mutationObserver.observe(root, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['data-src', 'data-srcset', 'data-poster', 'data-bg', 'href']
+        });
+      }
+    }
+  
+    /**
+     * Pass a newly added node and its descendants to the plugins
+     * @param {Node} node - Added node
+     * @private
+     */
+    _attachNode(node) {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      this._callHook('onMutation', node, false);
+    }
+  
+    /**
+     * Pass a removed node and its descendants to the plugins
+     * @param {Node} node - Removed node
+     * @private
+     */
+    _detachNode(node) {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      this._callHook('onMutation', node, true);
+    }
+  
+    /**
+     * Find elements matching a selector in a root, including the root itself
+     * @param {Document|ShadowRoot|Element} root - Root to search
+     * @param {string} selector - CSS selector
+     * @returns {Array} - Matching elements
+     * @private
+     */
+    _queryAll(root, selector) {
+      const elements = Array.from(root.querySelectorAll(selector));
+      
+      if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+        elements.unshift(root);
+      }
+      
+      return elements;
+    }
+  
+    /**
+     * Get every root Quacktize is responsible for
+     * @returns {Array} - Document plus any roots passed to observe()
+     * @private
+     */
+    _getRoots() {
+      return this.observedRoots.size ? Array.from(this.observedRoots) : [document];
+    }
+  
+    /**
+     * Run a callback when the browser is idle
+     * @param {Function} callback - Callback to run
+     * @returns {number} - Handle for _cancelIdle()
+     * @private
+     */
+    _whenIdle(callback) {
+      if ('requestIdleCallback' in window) {
+        return window.requestIdleCallback(callback, { timeout: 2000 });
+      }
+      return setTimeout(callback, 1);
+    }
+  
+    /**
+     * Cancel a callback scheduled with _whenIdle()
+     * @param {number} handle - Handle returned by _whenIdle()
+     * @private
+     */
+    _cancelIdle(handle) {
+      if (!handle) return;
+      
+      if ('cancelIdleCallback' in window) {
+        window.cancelIdleCallback(handle);
+      } else {
+        clearTimeout(handle);
+      }
+    }
+  
+    /**
+     * Yield to the main thread on behalf of a feature
+     * @param {string} feature - Feature doing the work
+     * @returns {Promise<boolean>} - Whether the feature is still set up and should continue
+     * @private
+     */
+    async _yield(feature) {
+      const generation = this.featureGenerations.get(feature) || 0;
+      await yieldToMain();
+      this.chunkDeadline = performance.now() + this.config.yieldInterval;
+      return (this.featureGenerations.get(feature) || 0) === generation;
+    }
+  
+    /**
+     * Run a function over items, yielding to the main thread whenever the
+     * work has run for `yieldInterval` milliseconds. The deadline is shared
+     * by every feature, so work queued during init is spread over tasks.
+     * @param {string} feature - Feature doing the work
+     * @param {Array} items - Items to process
+     * @param {Function} fn - Called with each item and its index
+     * @returns {Promise<boolean>} - Whether every item was processed, false when the feature was torn down first
+     * @private
+     */
+    async _forEachChunk(feature, items, fn) {
+      for (let i = 0; i < items.length; i++) {
+        if (performance.now() >= this.chunkDeadline && !(await this._yield(feature))) return false;
+        fn(items[i], i);
+      }
+      return true;
+    }
+  
+    /**
+     * Add a preconnect or dns-prefetch hint unless the page already has one
+     * @param {string} feature - Feature owning the hint
+     * @param {string} rel - `preconnect` or `dns-prefetch`
+     * @param {string} origin - Origin to connect to
+     * @param {string|null} [crossOrigin] - Credentials mode of the connection
+     * @returns {boolean} - Whether a hint was added
+     * @private
+     */
+    _addResourceHint(feature, rel, origin, crossOrigin = null) {
+      const exists = Array.from(document.querySelectorAll(`link[rel~="${rel}"][href]`)).some(link => (
+        toOrigin(link.href) === origin &&
+        (rel === 'dns-prefetch' || getCrossOriginMode(link) === crossOrigin)
+      ));
+      if (exists) return false;
+      
+      const link = document.createElement('link');
+      link.rel = rel;
+      link.href = origin;
+      if (crossOrigin) link.crossOrigin = crossOrigin;
+      this._inject(feature, link);
+      return true;
+    }
+  
+    /**
+     * Get performance metrics
+     * @returns {Object} - Performance metrics
+     */
+    getMetrics() {
+      // Update metrics with latest data
+      const navigation = this._getNavigationEntry();
+      if (navigation && navigation.loadEventEnd > 0) {
+        this.metrics.loadTime = navigation.loadEventEnd;
+      }
+      
+      return { ...this.metrics, vitals: { ...this.metrics.vitals } };
+    }
+  
+    /**
+     * Subscribe to Core Web Vitals as they are measured and updated.
+     * Values already measured are passed to the callback right away.
+     * @param {Function} callback - Called with each metric
+     * @returns {Function} - Unsubscribes the callback
+     */
+    onMetric(callback) {
+      this.metricListeners.add(callback);
+      
+      Object.values(this.metrics.vitals).forEach(metric => {
+        if (metric) callback(metric);
+      });
+      
+      return () => this.metricListeners.delete(callback);
+    }
+  
+    /**
+     * Get the Navigation Timing Level 2 entry for this page
+     * @returns {PerformanceNavigationTiming|null} - Navigation entry
+     * @private
+     */
+    _getNavigationEntry() {
+      if (!window.performance || !performance.getEntriesByType) return null;
+      return performance.getEntriesByType('navigation')[0] || null;
+    }
+  
+    /**
+     * Tear down a single feature, removing its observers and listeners
+     * @param {string} feature - Config flag of the feature
+     * @param {boolean} [removeInjected=false] - Also remove elements it injected
+     * @private
+     */
+    _teardownFeature(feature, removeInjected = false) {
+      // Chunked work of the feature stops at its next yield
+      this.featureGenerations.set(feature, (this.featureGenerations.get(feature) || 0) + 1);
+      
+      this.cleanups = this.cleanups.filter(cleanup => {
+        if (cleanup.feature !== feature) return true;
+        cleanup.fn();
+        return false;
+      });
+      
+      if (removeInjected) {
+        this.injectedElements = this.injectedElements.filter(entry => {
+          if (entry.feature !== feature) return true;
+          entry.element.remove();
+          return false;
+        });
+      }
+    }
+  
+    /**
+     * Register a function to run when a feature is torn down
+     * @param {string} feature - Feature the cleanup belongs to
+     * @param {Function} fn - Cleanup function
+     * @private
+     */
+    _addCleanup(feature, fn) {
+      this.cleanups.push({ feature, fn });
+    }
+  
+    /**
+     * Add an event listener that is removed when its feature is torn down
+     * @param {string} feature - Feature the listener belongs to
+     * @param {EventTarget} target - Target to listen on
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object|boolean} [options] - Listener options
+     * @private
+     */
+    _listen(feature, target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      this._addCleanup(feature, () => {
+        target.removeEventListener(type, handler, options);
+      });
+    }
+  
+    /**
+     * Insert an element into the document head and remember it for teardown
+     * @param {string} feature - Feature the element belongs to
+     * @param {Element} element - Element to insert
+     * @param {Node} [before=null] - Node to insert before, appends when omitted
+     * @private
+     */
+    _inject(feature, element, before = null) {
+      document.head.insertBefore(element, before);
+      this.injectedElements.push({ feature, element });
+    }
+  
+    /**
+     * Throttle function to limit execution rate
+     * @param {Function} func - Function to throttle
+     * @param {number} limit - Time limit in ms
+     * @returns {Function} - Throttled function
+     * @private
+     */
+    _throttle(func, limit) {
+      let lastCall = 0;
+      return function(...args) {
+        const now = Date.now();
+        if (now - lastCall >= limit) {
+          lastCall = now;
+          return func.apply(this, args);
+        }
+      };
+    }
+  
+    /**
+     * Log messages to console if debug mode is enabled
+     * @private
+     */
+    _log(...args) {
+      if (this.config.debug) {
+        console.log('[Quacktize]', ...args);
+      }
+    }
+  
+    /**
+     * Public API methods
+     */
+  
+    /**
+     * Re-scan a root for content the plugins handle
+     * @param {Document|ShadowRoot|Element} [root=document] - Root to scan
+     * @returns {Quacktize} - Instance for chaining
+     */
+    refresh(root = document) {
+      if (this.paused) return this;
+      
+      this._callHook('onMutation', root, false);
+      this._log('Refreshed observed content');
+      return this;
+    }
+  
+    /**
+     * Start handling a root that the document observer cannot see,
+     * such as a shadow root or a container mounted by the app
+     * @param {Document|ShadowRoot|Element} root - Root to observe
+     * @returns {Quacktize} - Instance for chaining
+     */
+    observe(root) {
+      if (!root || this.observedRoots.has(root)) return this;
+      
+      if (this.observedRoots.size === 0) this.observedRoots.add(document);
+      this._watchRoot(root);
+      return this.refresh(root);
+    }
+  
+    /**
+     * Run non-critical work in its own task so it does not delay input or
+     * rendering. Uses `scheduler.postTask()` where available.
+     * @param {Function} callback - Work to run
+     * @param {Object} [options] - Task options
+     * @param {string} [options.priority='background'] - `user-blocking`, `user-visible` or `background`
+     * @param {number} [options.delay=0] - Milliseconds to wait before queueing the task
+     * @param {AbortSignal} [options.signal] - Cancels the task if aborted before it runs
+     * @returns {Promise} - Resolves with the callback's result
+     */
+    schedule(callback, options) {
+      return postTask(callback, options);
+    }
+  
+    /**
+     * Let the browser handle input and render before continuing long work
+     * @returns {Promise<void>} - Resolves when the work can continue
+     */
+    yieldToMain() {
+      return yieldToMain();
+    }
+  
+    /**
+     * Update configuration
+     * @param {Object} options - New configuration options
+     * @returns {Quacktize} - Instance for chaining
+     */
+    updateConfig(options) {
+      Object.keys(options).forEach(key => this.explicitOptions.add(key));
+      return this._applyConfig(options);
+    }
+  
+    /**
+     * Change configuration options on behalf of a plugin, without marking
+     * them as set by the user
+     * @param {Object} options - New configuration options
+     * @returns {Quacktize} - Instance for chaining
+     * @private
+     */
+    _applyConfig(options) {
+      const previous = this.config;
+      this.config = { ...this.config, ...options };
+      this._log('Updated configuration:', this.config);
+      
+      if (!this.initialized) return this;
+      
+      this.plugins.forEach(plugin => {
+        const wasActive = this.activePlugins.has(plugin);
+        const isEnabled = this._isEnabled(plugin);
+        
+        // Plugins whose tuning options changed need to be set up again
+        const restart = (plugin.restartOn || []).some(option => previous[option] !== this.config[option]);
+        
+        if (wasActive && (!isEnabled || restart)) {
+          this._teardownPlugin(plugin, !isEnabled);
+        }
+        
+        if (isEnabled && (!wasActive || restart)) {
+          this._setupPlugin(plugin);
+        }
+      });
+      
+      if (previous.observeMutations && !this.config.observeMutations) {
+        this._teardownFeature('observeMutations');
+      } else if (!previous.observeMutations && this.config.observeMutations) {
+        this._initMutationObserver();
+      }
+      
+      return this;
+    }
+  
+    /**
+     * Suspend DOM watching and the plugins' observers
+     * @returns {Quacktize} - Instance for chaining
+     */
+    pause() {
+      if (!this.initialized || this.paused) return this;
+      
+      this.paused = true;
+      if (this.mutationObserver) this.mutationObserver.disconnect();
+      this._callHook('pause');
+      this._log('Paused');
+      return this;
+    }
+  
+    /**
+     * Resume work suspended by pause() and catch up on missed content
+     * @returns {Quacktize} - Instance for chaining
+     */
+    resume() {
+      if (!this.initialized || !this.paused) return this;
+      
+      this.paused = false;
+      this._getRoots().forEach(root => {
+        if (this.mutationObserver) this._watchRoot(root);
+        this.refresh(root);
+      });
+      this._log('Resumed');
+      return this;
+    }
+  
+    /**
+     * Disconnect every observer and remove every listener so the instance
+     * can be discarded or initialized again
+     * @param {Object} [options] - Teardown options
+     * @param {boolean} [options.removeInjected=false] - Also remove injected hints, preloads and styles
+     * @returns {Quacktize} - Instance for chaining
+     */
+    destroy({ removeInjected = false } = {}) {
+      Array.from(this.activePlugins).reverse().forEach(plugin => {
+        this._teardownPlugin(plugin, removeInjected);
+      });
+      
+      this.cleanups.forEach(cleanup => cleanup.fn());
+      this.cleanups = [];
+      
+      if (removeInjected) {
+        this.injectedElements.forEach(entry => entry.element.remove());
+      }
+      this.injectedElements = [];
+      
+      this.observedRoots.clear();
+      this.metricListeners.clear();
+      this.initialized = false;
+      this.paused = false;
+      this._log('Destroyed');
+      return this;
+    }
+  }
+  
+  // Default export
+  export default Quacktize;
\ No newline at end of file
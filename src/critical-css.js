@@ -0,0 +1,389 @@
+/**
+ * Critical CSS extraction
+ * Shared by the browser API and the Node entry point, so it only relies on
+ * the CSSOM and never on layout.
+ */
+
+/**
+ * CSSRule type constants, available in browsers and jsdom alike
+ * @private
+ */
+const STYLE_RULE = 1;
+const IMPORT_RULE = 3;
+const FONT_FACE_RULE = 5;
+const KEYFRAMES_RULE = 7;
+const NAMESPACE_RULE = 10;
+
+/**
+ * Size of the first TCP round trip, a common budget for inlined CSS
+ */
+export const DEFAULT_CRITICAL_CSS_BUDGET = 14 * 1024;
+
+/**
+ * Pseudo-classes and pseudo-elements that depend on interaction or
+ * generate boxes, so querySelectorAll cannot match them
+ * @private
+ */
+const DYNAMIC_PSEUDO = /::?(?:hover|focus(?:-within|-visible)?|active|visited|link|any-link|target|checked|disabled|enabled|placeholder-shown|autofill|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|file-selector-button|-(?:webkit|moz|ms)-[\w-]+)(?:\([^)]*\))?/g;
+
+/**
+ * Any pseudo-class or pseudo-element, used when a selector still fails
+ * @private
+ */
+const ANY_PSEUDO = /::?[\w-]+(?:\((?:[^()]|\([^()]*\))*\))?/g;
+
+/**
+ * Split a string on a separator that is not nested in parentheses,
+ * brackets or quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Single character separator
+ * @returns {string[]} - Trimmed, non-empty parts
+ * @private
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === quote && text[i - 1] !== '\\') quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Collapse whitespace outside of strings
+ * @param {string} css - CSS text
+ * @returns {string} - Minified CSS text
+ * @private
+ */
+function minify(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{}:;,>])\s*/g, '$1')
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+/**
+ * Parse the declarations of a style rule
+ * @param {CSSStyleDeclaration} style - Rule style
+ * @returns {Array} - `[property, value]` pairs, value including `!important`
+ * @private
+ */
+function parseDeclarations(style) {
+  return splitTopLevel(style.cssText, ';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+
+      const property = declaration.slice(0, colon).trim();
+      const value = declaration.slice(colon + 1).trim().replace(/\s+/g, ' ').replace(/\s*!\s*important$/i, '!important');
+      return [property, value];
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a selector matches an above-the-fold element, ignoring
+ * pseudo-classes and pseudo-elements the DOM cannot match. Only the
+ * above-the-fold elements are tested rather than querying the document
+ * for every rule.
+ * @param {string} selectorText - Selector list
+ * @param {Element[]} aboveFold - Elements above the fold
+ * @returns {boolean} - Whether any selector in the list matches
+ * @private
+ */
+function matchesAboveFold(selectorText, aboveFold) {
+  return splitTopLevel(selectorText, ',').some(selector => {
+    const candidates = [selector.replace(DYNAMIC_PSEUDO, ''), selector.replace(ANY_PSEUDO, '')];
+
+    for (const candidate of candidates) {
+      // A selector made only of pseudos, like `::selection`, applies to everything
+      const query = /(^|[\s>+~])$/.test(candidate) ? `${candidate}*` : candidate;
+
+      try {
+        return aboveFold.some(el => el.matches(query));
+      } catch (e) {
+        // Invalid selector, try the next candidate
+      }
+    }
+
+    return false;
+  });
+}
+
+/**
+ * Get the prelude of a grouping rule, such as `@media (min-width: 40em)`
+ * @param {CSSRule} rule - Grouping rule
+ * @returns {string} - Prelude without the block
+ * @private
+ */
+function getPrelude(rule) {
+  return rule.cssText.slice(0, rule.cssText.indexOf('{')).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Walk a rule list, collecting the rules that may be critical with the
+ * grouping rules wrapping them
+ * @param {CSSRuleList} rules - Rules to walk
+ * @param {string[]} wrappers - Preludes of the enclosing grouping rules
+ * @param {Object} context - Collected nodes, above-fold elements, logger and next rule index
+ * @private
+ */
+function walkRules(rules, wrappers, context) {
+  Array.from(rules).forEach(rule => {
+    // Rules are numbered in document order, the same for every fold of a page
+    const index = context.index++;
+
+    if (rule.type === STYLE_RULE) {
+      if (matchesAboveFold(rule.selectorText, context.aboveFold)) {
+        context.nodes.push({
+          kind: 'style',
+          index,
+          wrappers,
+          selector: splitTopLevel(rule.selectorText, ',').join(','),
+          declarations: parseDeclarations(rule.style)
+        });
+      }
+    } else if (rule.type === FONT_FACE_RULE) {
+      const family = rule.style.getPropertyValue('font-family');
+      context.nodes.push({ kind: 'font-face', index, wrappers, name: normalizeName(family), cssText: rule.cssText });
+    } else if (rule.type === KEYFRAMES_RULE) {
+      context.nodes.push({ kind: 'keyframes', index, wrappers, name: rule.name, cssText: rule.cssText });
+    } else if (rule.type === IMPORT_RULE) {
+      let imported = null;
+      try {
+        imported = rule.styleSheet && rule.styleSheet.cssRules;
+      } catch (e) {
+        context.log('Could not access some stylesheets due to CORS restrictions');
+      }
+
+      const media = rule.media && rule.media.mediaText;
+      if (imported) walkRules(imported, media ? wrappers.concat(`@media ${media}`) : wrappers, context);
+    } else if (rule.cssRules) {
+      // @media, @supports, @layer, @container and other grouping rules
+      walkRules(rule.cssRules, wrappers.concat(getPrelude(rule)), context);
+    } else if (rule.type === NAMESPACE_RULE || /^@(layer|property)\b/.test(rule.cssText)) {
+      // Layer order and registered properties affect the rules that follow
+      context.nodes.push({ kind: 'raw', index, wrappers, cssText: rule.cssText });
+    }
+  });
+}
+
+/**
+ * Normalize a font family or animation name for comparison
+ * @private
+ */
+function normalizeName(name) {
+  return name.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+}
+
+/**
+ * Remove custom properties that nothing in the critical CSS references,
+ * following references between custom properties
+ * @param {Object[]} styles - Collected style nodes
+ * @private
+ */
+function pruneCustomProperties(styles) {
+  const definitions = new Map();
+  const used = new Set();
+  const pending = [];
+  const collectReferences = value => {
+    (value.match(/var\(\s*--[\w-]+/g) || []).forEach(match => {
+      const name = match.replace(/^var\(\s*/, '');
+      if (!used.has(name)) {
+        used.add(name);
+        pending.push(name);
+      }
+    });
+  };
+
+  styles.forEach(node => node.declarations.forEach(([property, value]) => {
+    if (property.startsWith('--')) {
+      if (!definitions.has(property)) definitions.set(property, []);
+      definitions.get(property).push(value);
+    } else {
+      collectReferences(value);
+    }
+  }));
+
+  while (pending.length) {
+    (definitions.get(pending.pop()) || []).forEach(collectReferences);
+  }
+
+  styles.forEach(node => {
+    node.declarations = node.declarations.filter(([property]) => !property.startsWith('--') || used.has(property));
+  });
+}
+
+/**
+ * Collect the names referenced by a set of properties
+ * @param {Object[]} styles - Collected style nodes
+ * @param {RegExp} properties - Properties to read
+ * @returns {Set<string>|null} - Lowercased names, or null when a value uses var() and cannot be resolved
+ * @private
+ */
+function collectNames(styles, properties) {
+  const names = new Set();
+  let dynamic = false;
+
+  styles.forEach(node => node.declarations.forEach(([property, value]) => {
+    if (!properties.test(property)) return;
+    if (value.includes('var(')) dynamic = true;
+
+    splitTopLevel(value, ',').forEach(part => {
+      splitTopLevel(part, ' ').concat(part).forEach(token => names.add(normalizeName(token)));
+    });
+  }));
+
+  return dynamic ? null : names;
+}
+
+/**
+ * Serialize collected nodes, nesting them in their grouping rules
+ * @param {Object[]} nodes - Nodes to serialize
+ * @returns {Object[]} - `{ index, css }` with the rule index and minified CSS block
+ * @private
+ */
+function serialize(nodes) {
+  const blocks = [];
+  const seen = new Set();
+
+  nodes.forEach(node => {
+    const body = node.kind === 'style'
+      ? `${node.selector}{${node.declarations.map(([property, value]) => `${property}:${value}`).join(';')}}`
+      : minify(node.cssText);
+    const css = node.wrappers.reduceRight((inner, wrapper) => `${wrapper}{${inner}}`, body);
+
+    if (!seen.has(css)) {
+      seen.add(css);
+      blocks.push({ index: node.index, css });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Collect the CSS rules that apply to above-the-fold elements. Grouping
+ * rules are kept around their matching rules, pseudo-classes and
+ * pseudo-elements are ignored for matching, and only the fonts, keyframes
+ * and custom properties the critical rules use are kept. Each rule comes
+ * with its index in the document's stylesheets, so the rules of several
+ * folds can be merged in cascade order.
+ * @param {Document} doc - Document whose stylesheets are searched
+ * @param {Set<Element>} aboveFold - Elements considered above the fold
+ * @param {Object} [options] - Extraction options
+ * @param {Function} [options.log] - Called with a message when a stylesheet cannot be read
+ * @returns {Object[]} - `{ index, css }` for each minified rule, in document order
+ */
+export function extractCriticalRules(doc, aboveFold, { log = () => {} } = {}) {
+  const context = { aboveFold: Array.from(aboveFold), log, nodes: [], index: 0 };
+
+  Array.from(doc.styleSheets).forEach(sheet => {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      // CORS error when trying to access cross-origin stylesheets
+      log('Could not access some stylesheets due to CORS restrictions');
+      return;
+    }
+
+    if (rules) walkRules(rules, [], context);
+  });
+
+  const styles = context.nodes.filter(node => node.kind === 'style');
+  pruneCustomProperties(styles);
+
+  const animations = collectNames(styles, /^(-webkit-)?animation(-name)?$/);
+  const fonts = collectNames(styles, /^font(-family)?$/);
+
+  const nodes = context.nodes.filter(node => {
+    if (node.kind === 'style') return node.declarations.length > 0;
+    if (node.kind === 'keyframes') return !animations || animations.has(normalizeName(node.name));
+    if (node.kind === 'font-face') return !fonts || fonts.has(node.name);
+    return true;
+  });
+
+  return serialize(nodes);
+}
+
+/**
+ * Collect the CSS rules that apply to above-the-fold elements as a
+ * minified and deduplicated stylesheet, see extractCriticalRules()
+ * @param {Document} doc - Document whose stylesheets are searched
+ * @param {Set<Element>} aboveFold - Elements considered above the fold
+ * @param {Object} [options] - Extraction options
+ * @param {Function} [options.log] - Called with a message when a stylesheet cannot be read
+ * @param {Function} [options.warn] - Called with a message when the result exceeds the budget
+ * @param {number} [options.budget] - Size budget in bytes, 0 to disable the warning
+ * @returns {string} - Critical CSS
+ */
+export function extractCriticalCSS(doc, aboveFold, {
+  log = () => {},
+  warn = () => {},
+  budget = DEFAULT_CRITICAL_CSS_BUDGET
+} = {}) {
+  const criticalCSS = extractCriticalRules(doc, aboveFold, { log }).map(rule => rule.css).join('\n');
+  checkBudget(criticalCSS, budget, warn);
+  return criticalCSS;
+}
+
+/**
+ * Merge the critical rules extracted for several viewports of the same
+ * page. Rules shared between viewports are kept once, and every rule is
+ * put back at its index in the page so the cascade is unchanged.
+ * @param {Object[][]} results - Rules from extractCriticalRules() per viewport
+ * @returns {string} - Merged critical CSS
+ */
+export function mergeCriticalCSS(results) {
+  const indexes = new Map();
+
+  results.forEach(rules => rules.forEach(({ index, css }) => {
+    if (!indexes.has(css) || index < indexes.get(css)) indexes.set(css, index);
+  }));
+
+  return Array.from(indexes.keys())
+    .sort((a, b) => indexes.get(a) - indexes.get(b))
+    .join('\n');
+}
+
+/**
+ * Warn when critical CSS is larger than its budget
+ * @param {string} css - Critical CSS
+ * @param {number} budget - Size budget in bytes, 0 to disable the warning
+ * @param {Function} warn - Called with the warning message
+ * @returns {boolean} - Whether the CSS fits the budget
+ */
+export function checkBudget(css, budget, warn) {
+  const size = new Blob([css]).size;
+
+  if (budget && size > budget) {
+    warn(`Critical CSS is ${size} bytes, over the budget of ${budget} bytes`);
+    return false;
+  }
+
+  return true;
+}
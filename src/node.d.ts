@@ -0,0 +1,100 @@
+/**
+ * A viewport whose fold is estimated
+ */
+export interface Viewport {
+    /**
+     * Width in pixels
+     */
+    width: number;
+    
+    /**
+     * Height in pixels
+     */
+    height: number;
+  }
+  
+  /**
+   * Options for build-time critical CSS extraction
+   */
+  export interface CriticalCSSOptions {
+    /**
+     * HTML source of the page
+     */
+    html: string;
+    
+    /**
+     * CSS sources to analyze
+     */
+    css?: string | string[];
+    
+    /**
+     * Paths of CSS files to read and analyze
+     */
+    cssFiles?: string[];
+    
+    /**
+     * Directory that local `<link rel="stylesheet">` hrefs resolve against.
+     * When set, those stylesheets are read and analyzed too.
+     */
+    basePath?: string;
+    
+    /**
+     * Viewport sizes whose above-the-fold content is merged
+     * @default [{ width: 360, height: 640 }, { width: 1440, height: 900 }]
+     */
+    viewports?: Viewport[];
+    
+    /**
+     * Size budget in bytes for the critical CSS, 0 to disable the warning
+     * @default 14336
+     */
+    budget?: number;
+    
+    /**
+     * Called when the critical CSS exceeds the budget or a stylesheet cannot be parsed
+     * @default console.warn
+     */
+    onWarning?: (message: string) => void;
+  }
+  
+  /**
+   * Result of inlining critical CSS
+   */
+  export interface InlineCriticalCSSResult {
+    /**
+     * Rewritten HTML with critical CSS inlined and stylesheets loaded asynchronously
+     */
+    html: string;
+    
+    /**
+     * The critical CSS that was inlined
+     */
+    criticalCSS: string;
+  }
+  
+  /**
+   * Viewports used when none are given
+   */
+  export const DEFAULT_VIEWPORTS: Viewport[];
+  
+  /**
+   * Estimate which elements render above the fold of a viewport
+   * @param doc - Parsed document
+   * @param viewport - Viewport size
+   * @returns Elements above the fold
+   */
+  export function findAboveFold(doc: Document, viewport: Viewport): Set<Element>;
+  
+  /**
+   * Generate critical CSS for a page
+   * @param options - Extraction options
+   * @returns Critical CSS
+   */
+  export function generateCriticalCSS(options: CriticalCSSOptions): Promise<string>;
+  
+  /**
+   * Inline critical CSS into a page and load its stylesheets asynchronously
+   * @param options - Extraction options
+   * @returns The rewritten HTML and the inlined CSS
+   */
+  export function inlineCriticalCSS(options: CriticalCSSOptions): Promise<InlineCriticalCSSResult>;
@@ -0,0 +1,366 @@
+/**
+ * Quacktize for Node
+ * Build-time critical CSS extraction from static HTML.
+ *
+ * There is no layout engine at build time, so the fold is estimated by
+ * walking the document in order and adding up rough heights for text
+ * blocks and replaced elements. jsdom is loaded on demand to parse the
+ * HTML and CSS.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { extractCriticalCSS, checkBudget, DEFAULT_CRITICAL_CSS_BUDGET } from './critical-css';
+
+/**
+ * Viewports used when none are given: a small phone and a laptop
+ */
+export const DEFAULT_VIEWPORTS = [
+  { width: 360, height: 640 },
+  { width: 1440, height: 900 }
+];
+
+/**
+ * Elements that are never rendered
+ * @private
+ */
+const SKIPPED_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'LINK', 'META', 'TITLE']);
+
+/**
+ * Elements laid out inline, which do not start a new block
+ * @private
+ */
+const INLINE_TAGS = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'BR', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'I', 'KBD',
+  'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'
+]);
+
+/**
+ * Default heights in pixels for replaced elements without size attributes
+ * @private
+ */
+const REPLACED_HEIGHTS = {
+  IMG: 150,
+  PICTURE: 150,
+  VIDEO: 150,
+  IFRAME: 150,
+  CANVAS: 150,
+  svg: 150,
+  INPUT: 32,
+  BUTTON: 32,
+  SELECT: 32,
+  TEXTAREA: 48,
+  HR: 16
+};
+
+/**
+ * Average character width and line height used to estimate text blocks
+ * @private
+ */
+const CHAR_WIDTH = 8;
+const LINE_HEIGHT = 24;
+const HEADING_TAGS = /^H[1-6]$/;
+
+/**
+ * At-rules the jsdom CSS parser does not understand. A stylesheet using
+ * any of them fails to parse as a whole.
+ * @private
+ */
+const UNSUPPORTED_AT_RULE = /^@(?:layer|container|scope|starting-style)\b/i;
+
+/**
+ * Media query standing in for an unsupported at-rule, followed by its index
+ * @private
+ */
+const AT_RULE_PLACEHOLDER = 'quacktize-at-';
+
+/**
+ * Load jsdom and parse an HTML document
+ * @param {string} html - HTML source
+ * @returns {Promise<Object>} - JSDOM instance
+ * @private
+ */
+async function createDOM(html) {
+  let jsdom;
+  try {
+    jsdom = await import('jsdom');
+  } catch (e) {
+    throw new Error('quacktize/node needs the jsdom package: npm install --save-dev jsdom');
+  }
+
+  // A silent console keeps CSS the parser does not understand from flooding the output
+  return new jsdom.JSDOM(html, { virtualConsole: new jsdom.VirtualConsole() });
+}
+
+/**
+ * Find the end of a quoted string
+ * @param {string} css - CSS source
+ * @param {number} start - Index of the opening quote
+ * @returns {number} - Index after the closing quote
+ * @private
+ */
+function skipString(css, start) {
+  let i = start + 1;
+  while (i < css.length && css[i] !== css[start]) {
+    i += css[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Replace the preludes of at-rules the parser does not understand with
+ * `@media` placeholders, so the rules inside them are still parsed and
+ * matched. Top-level statements such as `@layer base, theme;` are taken
+ * out and returned, nested ones are dropped.
+ * @param {string} css - CSS source
+ * @param {string[]} preludes - Receives the original preludes, indexed by placeholder
+ * @returns {Object} - `{ css, statements }` with the rewritten CSS and the statements
+ * @private
+ */
+function hideUnsupportedAtRules(css, preludes) {
+  const statements = [];
+  let output = '';
+  let depth = 0;
+  let i = 0;
+
+  while (i < css.length) {
+    const char = css[i];
+    let end = i + 1;
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      end = close === -1 ? css.length : close + 2;
+    } else if (char === '"' || char === '\'') {
+      end = skipString(css, i);
+    } else if (char === '@' && UNSUPPORTED_AT_RULE.test(css.slice(i, i + 32))) {
+      // The prelude ends at the block or semicolon outside parentheses and strings
+      let parens = 0;
+      end = i;
+      while (end < css.length && !(parens === 0 && (css[end] === '{' || css[end] === ';'))) {
+        if (css[end] === '"' || css[end] === '\'') {
+          end = skipString(css, end);
+          continue;
+        }
+        if (css[end] === '(') parens++;
+        if (css[end] === ')') parens--;
+        end++;
+      }
+
+      const prelude = css.slice(i, end).trim().replace(/\s+/g, ' ');
+      if (css[end] === '{') {
+        output += `@media ${AT_RULE_PLACEHOLDER}${preludes.length} `;
+        preludes.push(prelude);
+        i = end;
+      } else {
+        if (depth === 0) statements.push(`${prelude};`);
+        i = end + 1;
+      }
+      continue;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    }
+
+    output += css.slice(i, end);
+    i = end;
+  }
+
+  return { css: output, statements };
+}
+
+/**
+ * Estimate the height of a replaced element such as an image
+ * @param {Element} el - Replaced element
+ * @param {number} viewportWidth - Viewport width in pixels
+ * @returns {number} - Estimated height in pixels
+ * @private
+ */
+function estimateReplacedHeight(el, viewportWidth) {
+  const width = Number(el.getAttribute('width'));
+  const height = Number(el.getAttribute('height'));
+
+  if (width && height) return height * Math.min(1, viewportWidth / width);
+  if (height) return height;
+
+  const img = el.tagName === 'PICTURE' ? el.querySelector('img') : null;
+  return img ? estimateReplacedHeight(img, viewportWidth) : REPLACED_HEIGHTS[el.tagName];
+}
+
+/**
+ * Estimate which elements render above the fold of a viewport
+ * @param {Document} doc - Parsed document
+ * @param {Object} viewport - Viewport size
+ * @param {number} viewport.width - Width in pixels
+ * @param {number} viewport.height - Height in pixels
+ * @returns {Set<Element>} - Elements above the fold
+ */
+export function findAboveFold(doc, { width, height }) {
+  const aboveFold = new Set();
+  let y = 0;
+
+  const visit = (el) => {
+    // Everything after the fold is below it
+    if (y >= height || SKIPPED_TAGS.has(el.tagName) || el.hidden) return;
+
+    aboveFold.add(el);
+
+    if (el.tagName in REPLACED_HEIGHTS) {
+      el.querySelectorAll('*').forEach(child => aboveFold.add(child));
+      y += estimateReplacedHeight(el, width);
+      return;
+    }
+
+    const children = Array.from(el.children).filter(child => !SKIPPED_TAGS.has(child.tagName));
+    const isTextBlock = children.every(child => INLINE_TAGS.has(child.tagName));
+
+    if (!isTextBlock) {
+      children.forEach(visit);
+      return;
+    }
+
+    // A block holding only text and inline elements is laid out as lines
+    children.forEach(child => {
+      aboveFold.add(child);
+      child.querySelectorAll('*').forEach(descendant => aboveFold.add(descendant));
+    });
+
+    const text = el.textContent.trim();
+    if (text) {
+      const lineHeight = HEADING_TAGS.test(el.tagName) ? LINE_HEIGHT * 1.5 : LINE_HEIGHT;
+      const lines = Math.ceil((text.length * CHAR_WIDTH) / width);
+      y += lines * lineHeight;
+    }
+  };
+
+  visit(doc.documentElement);
+  return aboveFold;
+}
+
+/**
+ * Gather the CSS to analyze from strings, files and local stylesheets
+ * linked from the HTML
+ * @param {Document} doc - Parsed document
+ * @param {Object} options - Options passed to generateCriticalCSS()
+ * @returns {Promise<string[]>} - CSS sources
+ * @private
+ */
+async function loadStylesheets(doc, { css = [], cssFiles = [], basePath }) {
+  const sources = [].concat(css);
+
+  for (const file of cssFiles) {
+    sources.push(await readFile(file, 'utf8'));
+  }
+
+  if (basePath) {
+    const links = Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]'));
+
+    for (const link of links) {
+      const href = link.getAttribute('href');
+
+      // Remote stylesheets are not fetched
+      if (/^([a-z][a-z\d+.-]*:)?\/\//i.test(href)) continue;
+
+      try {
+        sources.push(await readFile(path.join(basePath, href.split(/[?#]/)[0]), 'utf8'));
+      } catch (e) {
+        // Missing file, skip
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Generate critical CSS for a page
+ * @param {Object} options - Extraction options
+ * @param {string} options.html - HTML source of the page
+ * @param {string|string[]} [options.css] - CSS sources
+ * @param {string[]} [options.cssFiles] - Paths of CSS files to read
+ * @param {string} [options.basePath] - Directory local `<link rel="stylesheet">` hrefs resolve against
+ * @param {Object[]} [options.viewports] - Viewport sizes whose fold is merged
+ * @param {number} [options.budget] - Size budget in bytes, 0 to disable the warning
+ * @param {Function} [options.onWarning] - Called with warnings about the budget and unparsable CSS, defaults to console.warn
+ * @returns {Promise<string>} - Critical CSS
+ */
+export async function generateCriticalCSS(options) {
+  const { html, viewports = DEFAULT_VIEWPORTS, budget = DEFAULT_CRITICAL_CSS_BUDGET } = options;
+  const warn = options.onWarning || (message => console.warn('[Quacktize]', message));
+  const dom = await createDOM(html);
+  const doc = dom.window.document;
+
+  // Inline styles are already part of the page, only external CSS is analyzed
+  doc.querySelectorAll('style').forEach(style => style.remove());
+
+  const sources = await loadStylesheets(doc, options);
+  const preludes = [];
+  const statements = new Set();
+
+  sources.forEach((source, index) => {
+    const hidden = hideUnsupportedAtRules(source, preludes);
+    hidden.statements.forEach(statement => statements.add(statement));
+
+    const style = doc.createElement('style');
+    style.textContent = hidden.css;
+    doc.head.appendChild(style);
+
+    // The parser drops a whole stylesheet on syntax it does not know
+    const empty = !style.sheet || !style.sheet.cssRules.length;
+    if (empty && /\S/.test(hidden.css.replace(/\/\*[\s\S]*?\*\//g, ''))) {
+      warn(`Could not parse CSS source ${index + 1}, its rules are missing from the critical CSS`);
+    }
+  });
+
+  const aboveFold = new Set();
+  viewports.forEach(viewport => {
+    findAboveFold(doc, viewport).forEach(el => aboveFold.add(el));
+  });
+
+  // Put the at-rules back in place of their placeholders
+  const extracted = extractCriticalCSS(doc, aboveFold, { budget: 0 })
+    .replace(new RegExp(`@media ${AT_RULE_PLACEHOLDER}(\\d+)`, 'g'), (match, index) => preludes[index]);
+  const criticalCSS = extracted && statements.size
+    ? [...statements, extracted].join('\n')
+    : extracted;
+
+  checkBudget(criticalCSS, budget, warn);
+  dom.window.close();
+  return criticalCSS;
+}
+
+/**
+ * Inline critical CSS into a page and load its stylesheets asynchronously
+ * with the `media="print" onload` pattern
+ * @param {Object} options - Same options as generateCriticalCSS()
+ * @returns {Promise<Object>} - `{ html, criticalCSS }` with the rewritten HTML
+ */
+export async function inlineCriticalCSS(options) {
+  const criticalCSS = await generateCriticalCSS(options);
+  const dom = await createDOM(options.html);
+  const doc = dom.window.document;
+
+  if (criticalCSS) {
+    const style = doc.createElement('style');
+    style.id = 'critical-css';
+    style.textContent = criticalCSS;
+    doc.head.insertBefore(style, doc.head.firstChild);
+
+    doc.querySelectorAll('link[rel~="stylesheet"][href]').forEach(link => {
+      const media = link.getAttribute('media');
+      if (media && media !== 'all') return;
+
+      // Keep a blocking copy for visitors without JavaScript
+      const noscript = doc.createElement('noscript');
+      noscript.appendChild(link.cloneNode());
+      link.after(noscript);
+
+      link.setAttribute('media', 'print');
+      link.setAttribute('onload', "this.media='all';this.onload=null");
+    });
+  }
+
+  const html = dom.serialize();
+  dom.window.close();
+  return { html, criticalCSS };
+}
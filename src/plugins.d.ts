@@ -0,0 +1,26 @@
+/**
+ * Built-in plugins, for registering on the core build
+ */
+import type { QuacktizePlugin } from './quacktize';
+
+export const adaptivePlugin: QuacktizePlugin;
+export const priorityHintsPlugin: QuacktizePlugin;
+export const facadesPlugin: QuacktizePlugin;
+export const lazyLoadPlugin: QuacktizePlugin;
+export const prefetchPlugin: QuacktizePlugin;
+export const smoothScrollPlugin: QuacktizePlugin;
+export const fontOptimizationPlugin: QuacktizePlugin;
+export const resourceHintsPlugin: QuacktizePlugin;
+export const deferJSPlugin: QuacktizePlugin;
+export const webVitalsPlugin: QuacktizePlugin;
+export const longTasksPlugin: QuacktizePlugin;
+export const analyticsPlugin: QuacktizePlugin;
+export const serviceWorkerPlugin: QuacktizePlugin;
+export const criticalCSSPlugin: QuacktizePlugin;
+export const budgetsPlugin: QuacktizePlugin;
+export const debugOverlayPlugin: QuacktizePlugin;
+
+/**
+ * Every built-in plugin, in the order the default entry registers them
+ */
+export const builtInPlugins: QuacktizePlugin[];
@@ -0,0 +1,232 @@
+/**
+ * Adaptive loading plugin
+ * Rates the device and network into a capability tier and applies
+ * per-tier config overrides before the other plugins set up.
+ */
+
+/**
+ * Capability tiers from least to most capable
+ * @private
+ */
+const TIERS = ['low', 'medium', 'high'];
+
+/**
+ * Connection signals that put the network in a tier. The first tier with
+ * a matching signal wins, networks matching none are `high`.
+ * @private
+ */
+const NETWORK_LIMITS = [
+  { tier: 'low', effectiveTypes: ['slow-2g', '2g'], rtt: 1000 },
+  { tier: 'medium', effectiveTypes: ['3g'], rtt: 300 }
+];
+
+/**
+ * Hardware signals that put the device in a tier, matched the same way
+ * @private
+ */
+const DEVICE_LIMITS = [
+  { tier: 'low', deviceMemory: 1, hardwareConcurrency: 2 },
+  { tier: 'medium', deviceMemory: 4, hardwareConcurrency: 4 }
+];
+
+/**
+ * Default config overrides per tier
+ * @private
+ */
+const TIER_OVERRIDES = {
+  low: {
+    lazyLoadThreshold: 100,
+    lazyLoadVariant: 'low',
+    prefetch: false,
+    smoothScroll: false,
+    scriptStrategy: 'interaction'
+  },
+  medium: {
+    prefetchConcurrency: 1
+  },
+  high: {}
+};
+
+/**
+ * Check a measured value against an upper limit, ignoring unknown values
+ * @param {number|null} value - Measured value
+ * @param {number} limit - Inclusive limit
+ * @returns {boolean} - Whether the value is known and within the limit
+ * @private
+ */
+function atMost(value, limit) {
+  return value != null && value <= limit;
+}
+
+/**
+ * Rate the network signals of a profile
+ * @param {Object} profile - Capability signals
+ * @returns {string} - `low`, `medium` or `high`
+ * @private
+ */
+function getNetworkTier(profile) {
+  if (profile.saveData) return 'low';
+  
+  const match = NETWORK_LIMITS.find(limits => (
+    limits.effectiveTypes.includes(profile.effectiveType) ||
+    profile.rtt >= limits.rtt
+  ));
+  return match ? match.tier : 'high';
+}
+
+/**
+ * Rate the hardware signals of a profile
+ * @param {Object} profile - Capability signals
+ * @returns {string} - `low`, `medium` or `high`
+ * @private
+ */
+function getDeviceTier(profile) {
+  const match = DEVICE_LIMITS.find(limits => (
+    atMost(profile.deviceMemory, limits.deviceMemory) ||
+    atMost(profile.hardwareConcurrency, limits.hardwareConcurrency)
+  ));
+  return match ? match.tier : 'high';
+}
+
+/**
+ * Combine the network and device tiers. A slow network decides on its
+ * own, while a weak device on a fast network only lowers the tier to
+ * `medium`, so features that mostly cost bandwidth, like prefetching,
+ * stay on.
+ * @param {string} networkTier - Tier of the network
+ * @param {string} deviceTier - Tier of the device
+ * @returns {string} - `low`, `medium` or `high`
+ * @private
+ */
+function combineTiers(networkTier, deviceTier) {
+  const device = Math.max(TIERS.indexOf(deviceTier), TIERS.indexOf('medium'));
+  return TIERS[Math.min(TIERS.indexOf(networkTier), device)];
+}
+
+/**
+ * Read the device and network capabilities of this page view
+ * @param {string|null} forcedTier - Tier to use instead of the measured one
+ * @returns {Object} - Capability profile
+ * @private
+ */
+function readProfile(forcedTier) {
+  const connection = navigator.connection || {};
+  const profile = {
+    deviceMemory: navigator.deviceMemory || null,
+    hardwareConcurrency: navigator.hardwareConcurrency || null,
+    effectiveType: connection.effectiveType || null,
+    rtt: typeof connection.rtt === 'number' ? connection.rtt : null,
+    downlink: typeof connection.downlink === 'number' ? connection.downlink : null,
+    saveData: Boolean(connection.saveData),
+    reducedMotion: 'matchMedia' in window && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  };
+  
+  profile.networkTier = getNetworkTier(profile);
+  profile.deviceTier = getDeviceTier(profile);
+  profile.tier = TIERS.includes(forcedTier) ? forcedTier : combineTiers(profile.networkTier, profile.deviceTier);
+  return profile;
+}
+
+/**
+ * Per-tier configuration for device and network capability. Set it up
+ * first so the other plugins start with the overrides applied.
+ */
+export const adaptivePlugin = {
+  name: 'adaptive',
+  
+  defaults: {
+    adaptive: true,
+    adaptiveTier: null,
+    adaptiveTiers: TIER_OVERRIDES,
+    adaptiveReducedMotion: { placeholderTransition: 0 }
+  },
+  
+  restartOn: ['adaptiveTier', 'adaptiveTiers', 'adaptiveReducedMotion'],
+  
+  state() {
+    return {
+      profile: null,
+      tierBaseConfig: {}
+    };
+  },
+  
+  setup() {
+    this._initAdaptive();
+  },
+  
+  teardown() {
+    // Give the overridden options their own values back, unless the user changed them since
+    Object.keys(this.tierBaseConfig).forEach(key => {
+      if (!this.explicitOptions.has(key)) this.config[key] = this.tierBaseConfig[key];
+    });
+    this.tierBaseConfig = {};
+    this.profile = null;
+    document.documentElement.removeAttribute('data-quacktize-tier');
+  },
+  
+  methods: {
+    /**
+     * Apply the overrides for the current tier and follow connection changes
+     * @private
+     */
+    _initAdaptive() {
+      this._applyProfile(readProfile(this.config.adaptiveTier));
+      
+      const { connection } = navigator;
+      if (connection && connection.addEventListener) {
+        this._listen('adaptive', connection, 'change', () => {
+          this._applyProfile(readProfile(this.config.adaptiveTier));
+        });
+      }
+    },
+  
+    /**
+     * Store a profile and apply the config overrides of its tier
+     * @param {Object} profile - Capability profile
+     * @private
+     */
+    _applyProfile(profile) {
+      const previous = this.profile;
+      this.profile = profile;
+      if (previous && previous.tier === profile.tier) return;
+      
+      const overrides = { ...this.config.adaptiveTiers[profile.tier] };
+      if (profile.reducedMotion) Object.assign(overrides, this.config.adaptiveReducedMotion);
+      
+      // Options the user set always keep their value
+      Object.keys(overrides).forEach(key => {
+        if (this.explicitOptions.has(key)) delete overrides[key];
+      });
+      
+      // Options the previous tier overrode go back to their own values
+      const changes = {};
+      Object.keys(this.tierBaseConfig).forEach(key => {
+        if (key in overrides) return;
+        if (!this.explicitOptions.has(key)) changes[key] = this.tierBaseConfig[key];
+        delete this.tierBaseConfig[key];
+      });
+      Object.keys(overrides).forEach(key => {
+        if (!(key in this.tierBaseConfig)) this.tierBaseConfig[key] = this.config[key];
+        changes[key] = overrides[key];
+      });
+      
+      document.documentElement.setAttribute('data-quacktize-tier', profile.tier);
+      this._log(`Capability tier: ${profile.tier}`, profile);
+      
+      // Before init the overrides are merged, afterwards features restart
+      if (Object.keys(changes).length) this._applyConfig(changes);
+      
+      if (previous) {
+        this._emit(document.documentElement, 'tierchange', { tier: profile.tier, previous: previous.tier, profile: { ...profile } });
+      }
+    },
+  
+    /**
+     * Get the device and network capabilities and the tier they rate as
+     * @returns {Object} - Capability profile
+     */
+    getProfile() {
+      return { ...(this.profile || readProfile(this.config.adaptiveTier)) };
+    }
+  }
+};
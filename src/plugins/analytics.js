@@ -0,0 +1,210 @@
+/**
+ * Analytics plugin
+ * Batches metrics and custom events and sends them to pluggable reporters.
+ */
+
+/**
+ * Version of the analytics payload schema, bumped on breaking changes
+ * @private
+ */
+const PAYLOAD_SCHEMA = 1;
+
+/**
+ * Built-in analytics reporters. Each receives the batched payload and a
+ * context with the configured endpoint and headers.
+ * @private
+ */
+const REPORTERS = {
+  beacon(payload, { endpoint, headers }) {
+    // A missing endpoint is logged once when analytics start
+    if (!endpoint) return;
+    
+    const body = JSON.stringify(payload);
+    
+    // sendBeacon cannot set headers, so only use it without custom ones
+    if (!Object.keys(headers).length && navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) {
+      return;
+    }
+    
+    if (typeof fetch === 'function') {
+      fetch(endpoint, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json', ...headers }
+      }).catch(() => {
+        // Reporting is best effort
+      });
+    }
+  },
+  
+  console(payload) {
+    console.log('[Quacktize] Report:', payload);
+  },
+  
+  ga4(payload) {
+    const send = typeof window.gtag === 'function'
+      ? (name, params) => window.gtag('event', name, params)
+      : (name, params) => (window.dataLayer = window.dataLayer || []).push({ event: name, ...params });
+    
+    payload.events.forEach(event => {
+      send(event.name, {
+        value: typeof event.value === 'number' ? event.value : undefined,
+        metric_rating: event.rating,
+        metric_id: payload.session,
+        ...payload.dimensions
+      });
+    });
+  }
+};
+
+/**
+ * Metrics reporting
+ */
+export const analyticsPlugin = {
+  name: 'analytics',
+  
+  defaults: {
+    analytics: false,
+    analyticsEndpoint: null,
+    analyticsSampleRate: 1,
+    analyticsBatchSize: 20,
+    analyticsHeaders: {},
+    analyticsDimensions: {},
+    reporters: ['beacon']
+  },
+  
+  state() {
+    return {
+      reportQueue: new Map(),
+      customEventCount: 0,
+      sampled: false,
+      sessionId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+    };
+  },
+  
+  setup() {
+    this._initAnalytics();
+  },
+  
+  methods: {
+    /**
+     * Report metrics to console or analytics service
+     * @private
+     */
+    _reportMetrics() {
+      const { vitals, ...metrics } = this.getMetrics();
+      this._log('Performance metrics:', metrics);
+      this.track('metrics', metrics);
+    },
+  
+    /**
+     * Start batching metrics for the configured reporters
+     * @private
+     */
+    _initAnalytics() {
+      this.sampled = Math.random() < this.config.analyticsSampleRate;
+      if (!this.sampled) {
+        this._log('Page not sampled for analytics');
+        return;
+      }
+      
+      this._log('Initializing analytics reporting');
+      
+      if (this.config.reporters.includes('beacon') && !this.config.analyticsEndpoint) {
+        this._log('The beacon reporter needs an analyticsEndpoint');
+      }
+      
+      // Vitals are updated often, so only their latest value is kept per batch
+      const unsubscribe = this.onMetric(metric => {
+        this._queueReport(`vital:${metric.name}`, {
+          type: 'vital',
+          name: metric.name,
+          value: metric.value,
+          rating: metric.rating,
+          attribution: metric.attribution
+        });
+      });
+      this._addCleanup('analytics', unsubscribe);
+      
+      // Send what is left before the page goes away
+      this._listen('analytics', document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+      });
+      this._listen('analytics', window, 'pagehide', () => this.flush());
+      
+      // Report the page metrics once the page has loaded
+      if (document.readyState === 'complete') {
+        this._reportMetrics();
+      } else {
+        this._listen('analytics', window, 'load', () => this._reportMetrics(), { once: true });
+      }
+      this._addCleanup('analytics', () => this.flush());
+    },
+  
+    /**
+     * Add an event to the report batch, flushing when the batch is full
+     * @param {string} key - Key replacing earlier events of the same kind
+     * @param {Object} event - Event to report
+     * @private
+     */
+    _queueReport(key, event) {
+      if (!this.sampled) return;
+      
+      this.reportQueue.set(key, { time: Math.round(performance.now()), ...event });
+      if (this.reportQueue.size >= this.config.analyticsBatchSize) this.flush();
+    },
+  
+    /**
+     * Report a custom event alongside the collected metrics
+     * @param {string} name - Event name
+     * @param {*} value - Event value
+     * @returns {Quacktize} - Instance for chaining
+     */
+    track(name, value) {
+      this.customEventCount++;
+      this._queueReport(`custom:${this.customEventCount}`, { type: 'custom', name, value });
+      return this;
+    },
+  
+    /**
+     * Send batched events to every reporter now
+     * @returns {Quacktize} - Instance for chaining
+     */
+    flush() {
+      if (!this.reportQueue.size) return this;
+      
+      const { analyticsEndpoint, analyticsHeaders, analyticsDimensions, reporters } = this.config;
+      const payload = {
+        schema: PAYLOAD_SCHEMA,
+        session: this.sessionId,
+        url: window.location.href,
+        timestamp: Date.now(),
+        dimensions: { ...analyticsDimensions },
+        events: Array.from(this.reportQueue.values())
+      };
+      this.reportQueue.clear();
+      
+      const context = { endpoint: analyticsEndpoint, headers: { ...analyticsHeaders } };
+      reporters.forEach(reporter => {
+        const send = typeof reporter === 'string' ? REPORTERS[reporter]
+          : typeof reporter === 'function' ? reporter
+          : reporter && reporter.send.bind(reporter);
+        
+        if (!send) {
+          this._log(`Unknown reporter: ${reporter}`);
+          return;
+        }
+        
+        try {
+          send(payload, context);
+        } catch (e) {
+          this._log('Reporter failed:', e);
+        }
+      });
+      
+      this._log(`Reported ${payload.events.length} events`);
+      return this;
+    }
+  }
+};
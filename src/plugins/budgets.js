@@ -0,0 +1,143 @@
+/**
+ * Budgets plugin
+ * Warns and fires `quacktize:budget` when Core Web Vitals, image bytes,
+ * prefetches or critical CSS go over their budgets.
+ */
+
+/**
+ * Units of each budget, used in warnings
+ * @private
+ */
+const BUDGET_UNITS = {
+  lcp: 'ms',
+  inp: 'ms',
+  fcp: 'ms',
+  ttfb: 'ms',
+  cls: '',
+  imageBytes: ' bytes',
+  prefetches: '',
+  criticalCSS: ' bytes'
+};
+
+/**
+ * Resource Timing initiator types of images
+ * @private
+ */
+const IMAGE_INITIATORS = ['img', 'image'];
+
+/**
+ * Format a budget value for a warning
+ * @param {string} name - Budget name
+ * @param {number} value - Value to format
+ * @returns {string} - Value with its unit
+ * @private
+ */
+function formatBudgetValue(name, value) {
+  const rounded = name === 'cls' ? Number(value.toFixed(3)) : Math.round(value);
+  return `${rounded}${BUDGET_UNITS[name] || ''}`;
+}
+
+/**
+ * Performance budgets for development
+ */
+export const budgetsPlugin = {
+  name: 'budgets',
+  
+  defaults: {
+    budgets: null
+  },
+  
+  state() {
+    return {
+      budgetValues: {},
+      budgetsExceeded: new Set()
+    };
+  },
+  
+  setup() {
+    this._initBudgets();
+  },
+  
+  onMetric(context, metric) {
+    this._checkBudget(metric.name, metric.value);
+  },
+  
+  methods: {
+    /**
+     * Start measuring the values that have budgets
+     * @private
+     */
+    _initBudgets() {
+      this.budgetValues = { imageBytes: 0, prefetches: 0 };
+      this.budgetsExceeded = new Set();
+      
+      // Vitals measured before setup
+      Object.values(this.metrics.vitals).forEach(metric => {
+        if (metric) this._checkBudget(metric.name, metric.value);
+      });
+      
+      if ('PerformanceObserver' in window) {
+        try {
+          const observer = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => {
+              if (!IMAGE_INITIATORS.includes(entry.initiatorType)) return;
+              this._checkBudget('imageBytes', this.budgetValues.imageBytes + (entry.transferSize || entry.encodedBodySize || 0));
+            });
+          });
+          observer.observe({ type: 'resource', buffered: true });
+          this._addCleanup('budgets', () => observer.disconnect());
+        } catch (e) {
+          this._log('Resource timing not supported');
+        }
+      }
+      
+      this._listen('budgets', document, 'quacktize:prefetch', () => {
+        this._checkBudget('prefetches', this.budgetValues.prefetches + 1);
+      });
+      
+      // Critical CSS inlined at build time or applied later
+      this._listen('budgets', document, 'quacktize:criticalcss', (e) => this._checkCriticalCSSBudget(e.detail.element));
+      const inlined = document.getElementById('critical-css');
+      if (inlined) this._checkCriticalCSSBudget(inlined);
+    },
+  
+    /**
+     * Measure critical CSS against its budget
+     * @param {Element} style - Style element holding the critical CSS
+     * @private
+     */
+    _checkCriticalCSSBudget(style) {
+      this._checkBudget('criticalCSS', new Blob([style.textContent]).size);
+    },
+  
+    /**
+     * Record a value and report it the first time it goes over its budget
+     * @param {string} name - Budget name
+     * @param {number} value - Current value
+     * @private
+     */
+    _checkBudget(name, value) {
+      this.budgetValues[name] = value;
+      
+      const limit = (this.config.budgets || {})[name];
+      if (limit == null || value <= limit || this.budgetsExceeded.has(name)) return;
+      
+      this.budgetsExceeded.add(name);
+      console.warn(`[Quacktize] ${name} is ${formatBudgetValue(name, value)}, over the budget of ${formatBudgetValue(name, limit)}`);
+      this._emit(document, 'budget', { budget: name, value, limit });
+    },
+  
+    /**
+     * Get every configured budget with its current value
+     * @returns {Array} - Budgets with their name, limit, value and whether they were exceeded
+     */
+    getBudgets() {
+      return Object.keys(this.config.budgets || {}).map(name => ({
+        name,
+        limit: this.config.budgets[name],
+        value: name in this.budgetValues ? this.budgetValues[name] : null,
+        exceeded: this.budgetsExceeded.has(name)
+      }));
+    }
+  }
+};
@@ -0,0 +1,311 @@
+/**
+ * Critical CSS plugin
+ * Generates, caches and applies critical CSS in the browser. It has no
+ * setup of its own, only methods.
+ */
+
+import { extractCriticalCSS, extractCriticalRules, mergeCriticalCSS, checkBudget, DEFAULT_CRITICAL_CSS_BUDGET } from '../critical-css';
+
+/**
+ * Name of the Cache Storage cache and prefix of localStorage keys for
+ * critical CSS
+ * @private
+ */
+const CRITICAL_CACHE_NAME = 'quacktize-critical-css';
+
+/**
+ * Check whether an element renders above the fold
+ * @param {Element} el - Laid out element
+ * @param {number} viewportHeight - Height of the viewport
+ * @returns {boolean} - Whether part of the element is in the first viewport
+ * @private
+ */
+function isAboveFold(el, viewportHeight) {
+  const rect = el.getBoundingClientRect();
+  return rect.top < viewportHeight && rect.bottom > 0;
+}
+
+/**
+ * Critical CSS generation
+ */
+export const criticalCSSPlugin = {
+  name: 'criticalCSS',
+  
+  defaults: {
+    criticalCSSBudget: DEFAULT_CRITICAL_CSS_BUDGET,
+    onCriticalCSSWarning: null,
+    criticalCSSViewports: null,
+    criticalCSSCache: false,
+    criticalCSSCacheKey: null,
+    criticalCSSCacheTTL: 24 * 60 * 60 * 1000
+  },
+  
+  methods: {
+    /**
+     * Generate critical CSS
+     * @returns {string} - Critical CSS
+     */
+    generateCriticalCSS() {
+      this._log('Generating critical CSS');
+      
+      // Extract CSS rules for above-fold elements
+      return this._extractPageCriticalCSS(this._findAboveFold(document, window.innerHeight));
+    },
+  
+    /**
+     * Generate critical CSS for the page, measuring elements in chunks and
+     * extracting the rules in a task of its own
+     * @returns {Promise<string>} - Critical CSS, empty when the instance was destroyed first
+     * @private
+     */
+    async _generateCriticalCSSInChunks() {
+      this._log('Generating critical CSS');
+      
+      const viewportHeight = window.innerHeight;
+      const aboveFold = new Set();
+      const measured = await this._forEachChunk('criticalCSS', Array.from(document.querySelectorAll('*')), el => {
+        if (isAboveFold(el, viewportHeight)) aboveFold.add(el);
+      });
+      
+      if (!measured || !(await this._yield('criticalCSS'))) return '';
+      return this._extractPageCriticalCSS(aboveFold);
+    },
+  
+    /**
+     * Extract the CSS rules of the page that apply to above-fold elements
+     * @param {Set<Element>} aboveFold - Elements above the fold
+     * @returns {string} - Critical CSS
+     * @private
+     */
+    _extractPageCriticalCSS(aboveFold) {
+      return extractCriticalCSS(document, aboveFold, {
+        log: message => this._log(message),
+        warn: message => this._warnCriticalCSS(message),
+        budget: this.config.criticalCSSBudget
+      });
+    },
+  
+    /**
+     * Report a critical CSS warning to `onCriticalCSSWarning`, or the debug log
+     * @param {string} message - Warning
+     * @private
+     */
+    _warnCriticalCSS(message) {
+      if (this.config.onCriticalCSSWarning) {
+        this.config.onCriticalCSSWarning(message);
+      } else {
+        this._log(message);
+      }
+    },
+  
+    /**
+     * Generate critical CSS for several viewports and merge the results.
+     * Each viewport is laid out in a hidden, script-free copy of the page,
+     * and results are cached per viewport when `criticalCSSCache` is set.
+     * @param {Array} [viewports] - Viewport sizes, defaults to `criticalCSSViewports`
+     * @returns {Promise<string>} - Merged critical CSS
+     */
+    async generateCriticalCSSForViewports(viewports = this.config.criticalCSSViewports) {
+      const list = viewports || [{ width: window.innerWidth, height: window.innerHeight }];
+      const results = await Promise.all(list.map(viewport => this._readCriticalCache(viewport)));
+      const missing = list.filter((viewport, i) => results[i] === null);
+      
+      if (missing.length) {
+        this._log(`Generating critical CSS for ${missing.length} viewports`);
+        const generated = await this._renderViewports(missing);
+        
+        await Promise.all(missing.map((viewport, i) => {
+          results[list.indexOf(viewport)] = generated[i];
+          return this._writeCriticalCache(viewport, generated[i]);
+        }));
+      }
+      
+      const criticalCSS = mergeCriticalCSS(results);
+      checkBudget(criticalCSS, this.config.criticalCSSBudget, message => this._warnCriticalCSS(message));
+      return criticalCSS;
+    },
+  
+    /**
+     * Apply critical CSS to the page. With `criticalCSSViewports` or
+     * `criticalCSSCache` set it is generated for every viewport or read
+     * from the cache, otherwise it is generated for the current viewport
+     * in chunks that yield to the main thread.
+     * @returns {Promise<string>} - The applied critical CSS
+     */
+    async applyCriticalCSS() {
+      const { criticalCSSViewports, criticalCSSCache } = this.config;
+      const criticalCSS = criticalCSSViewports || criticalCSSCache
+        ? await this.generateCriticalCSSForViewports()
+        : await this._generateCriticalCSSInChunks();
+      
+      if (criticalCSS) {
+        const styleElement = document.createElement('style');
+        styleElement.id = 'critical-css';
+        styleElement.textContent = criticalCSS;
+        this._inject('criticalCSS', styleElement, document.head.firstChild);
+        this._emit(styleElement, 'criticalcss');
+        this._log('Applied critical CSS');
+      }
+      
+      return criticalCSS;
+    },
+  
+    /**
+     * Clear cached critical CSS
+     * @returns {Promise<void>}
+     */
+    async clearCriticalCSSCache() {
+      if (this.config.criticalCSSCache === 'cache' && 'caches' in window) {
+        await caches.delete(CRITICAL_CACHE_NAME);
+        return;
+      }
+      
+      try {
+        Object.keys(localStorage)
+          .filter(key => key.startsWith(`${CRITICAL_CACHE_NAME}:`))
+          .forEach(key => localStorage.removeItem(key));
+      } catch (e) {
+        // Storage unavailable
+      }
+    },
+  
+    /**
+     * Find the elements of a document that render above the fold
+     * @param {Document} doc - Laid out document
+     * @param {number} viewportHeight - Height of the viewport
+     * @returns {Set<Element>} - Elements above the fold
+     * @private
+     */
+    _findAboveFold(doc, viewportHeight) {
+      const aboveFoldElements = new Set();
+      
+      doc.querySelectorAll('*').forEach(el => {
+        if (isAboveFold(el, viewportHeight)) aboveFoldElements.add(el);
+      });
+      
+      return aboveFoldElements;
+    },
+  
+    /**
+     * Lay out a script-free copy of the page at each viewport size and
+     * extract its critical rules
+     * @param {Array} viewports - Viewport sizes
+     * @returns {Promise<Object[][]>} - Rules from extractCriticalRules() per viewport
+     * @private
+     */
+    _renderViewports(viewports) {
+      const snapshot = document.documentElement.cloneNode(true);
+      snapshot.querySelectorAll('script, #critical-css').forEach(el => el.remove());
+      
+      // Resolve relative URLs against the page rather than about:srcdoc
+      const base = document.createElement('base');
+      base.href = document.baseURI;
+      snapshot.querySelector('head').prepend(base);
+      
+      const iframe = document.createElement('iframe');
+      iframe.setAttribute('sandbox', 'allow-same-origin');
+      iframe.setAttribute('aria-hidden', 'true');
+      iframe.tabIndex = -1;
+      iframe.style.cssText = 'position:absolute;left:-10000px;top:0;border:0;visibility:hidden;';
+      
+      return new Promise((resolve, reject) => {
+        iframe.onload = () => {
+          try {
+            const doc = iframe.contentDocument;
+            const results = viewports.map(({ width, height }) => {
+              iframe.style.width = `${width}px`;
+              iframe.style.height = `${height}px`;
+              
+              return extractCriticalRules(doc, this._findAboveFold(doc, height), {
+                log: message => this._log(message)
+              });
+            });
+            resolve(results);
+          } catch (e) {
+            reject(e);
+          } finally {
+            iframe.remove();
+          }
+        };
+        
+        iframe.srcdoc = `<!DOCTYPE html>${snapshot.outerHTML}`;
+        document.body.appendChild(iframe);
+      });
+    },
+  
+    /**
+     * Build the cache key for critical CSS of a viewport
+     * @param {Object} viewport - Viewport size
+     * @returns {string} - Cache key
+     * @private
+     */
+    _getCriticalCacheKey({ width, height }) {
+      const { criticalCSSCacheKey } = this.config;
+      const page = typeof criticalCSSCacheKey === 'function'
+        ? criticalCSSCacheKey(window.location)
+        : criticalCSSCacheKey || window.location.pathname;
+      
+      return `${CRITICAL_CACHE_NAME}:${page}:${width}x${height}`;
+    },
+  
+    /**
+     * Read the cached critical rules of a viewport
+     * @param {Object} viewport - Viewport size
+     * @returns {Promise<Object[]|null>} - Cached rules, or null when missing or expired
+     * @private
+     */
+    async _readCriticalCache(viewport) {
+      const { criticalCSSCache, criticalCSSCacheTTL } = this.config;
+      const key = this._getCriticalCacheKey(viewport);
+      let entry = null;
+      
+      try {
+        if (criticalCSSCache === 'cache' && 'caches' in window) {
+          const cache = await caches.open(CRITICAL_CACHE_NAME);
+          const response = await cache.match(`/${encodeURIComponent(key)}`);
+          entry = response ? await response.json() : null;
+        } else if (criticalCSSCache) {
+          entry = JSON.parse(localStorage.getItem(key));
+        }
+      } catch (e) {
+        // Storage unavailable or corrupt entry
+        return null;
+      }
+      
+      // Entries without rule indexes cannot be merged in order, so they count as missing
+      if (!entry || !Array.isArray(entry.rules) || Date.now() - entry.time > criticalCSSCacheTTL) return null;
+      
+      this._log(`Using cached critical CSS for ${viewport.width}x${viewport.height}`);
+      return entry.rules;
+    },
+  
+    /**
+     * Cache the critical rules of a viewport
+     * @param {Object} viewport - Viewport size
+     * @param {Object[]} rules - Rules from extractCriticalRules()
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeCriticalCache(viewport, rules) {
+      const { criticalCSSCache } = this.config;
+      if (!criticalCSSCache) return;
+      
+      const key = this._getCriticalCacheKey(viewport);
+      const entry = JSON.stringify({ rules, time: Date.now() });
+      
+      try {
+        if (criticalCSSCache === 'cache' && 'caches' in window) {
+          const cache = await caches.open(CRITICAL_CACHE_NAME);
+          await cache.put(`/${encodeURIComponent(key)}`, new Response(entry, {
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        } else {
+          localStorage.setItem(key, entry);
+        }
+      } catch (e) {
+        // Storage full or unavailable
+        this._log('Could not cache critical CSS');
+      }
+    }
+  }
+};
@@ -0,0 +1,203 @@
+/**
+ * Debug overlay plugin
+ * Shows lazy elements, prefetched URLs, injected hints, budgets and live
+ * metrics in a panel on the page during development.
+ */
+
+/**
+ * Most rows listed per section
+ * @private
+ */
+const OVERLAY_MAX_ROWS = 30;
+
+/**
+ * Styles of the overlay, scoped by its shadow root
+ * @private
+ */
+const OVERLAY_STYLES = [
+  ':host { position: fixed; z-index: 2147483646; max-width: min(420px, calc(100vw - 24px)); font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; color: #e8e8e8; }',
+  ':host([data-position="bottom-right"]) { right: 12px; bottom: 12px; }',
+  ':host([data-position="bottom-left"]) { left: 12px; bottom: 12px; }',
+  ':host([data-position="top-right"]) { right: 12px; top: 12px; }',
+  ':host([data-position="top-left"]) { left: 12px; top: 12px; }',
+  '.panel { max-height: 60vh; overflow: auto; border-radius: 8px; background: rgba(20, 20, 24, 0.92); box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3); }',
+  'button { display: block; width: 100%; padding: 6px 10px; border: 0; background: #2b2b33; color: inherit; font: inherit; font-weight: bold; text-align: left; cursor: pointer; }',
+  '.body { padding: 4px 10px 8px; }',
+  '.body[hidden] { display: none; }',
+  'h2 { margin: 8px 0 2px; font-size: 11px; text-transform: uppercase; color: #9a9aa8; }',
+  'ul { margin: 0; padding: 0; list-style: none; }',
+  'li { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }',
+  '.good, .loaded { color: #5fd38d; }',
+  '.needs-improvement, .loading, .pending { color: #f5c451; }',
+  '.poor, .error, .exceeded { color: #ff6b6b; }'
+].join('\n');
+
+/**
+ * Describe an element in a few characters
+ * @param {Element} el - Element to describe
+ * @returns {string} - Tag, id and source
+ * @private
+ */
+function describeOverlayElement(el) {
+  const tag = el.tagName.toLowerCase();
+  const source = el.currentSrc || el.getAttribute('src') || el.dataset.src || el.dataset.srcset || el.dataset.bg || '';
+  return `${tag}${el.id ? `#${el.id}` : ''} ${source}`.trim();
+}
+
+/**
+ * Create a list item
+ * @param {string} text - Item text
+ * @param {string} [className] - Class for the item's color
+ * @returns {HTMLLIElement} - List item
+ * @private
+ */
+function createRow(text, className) {
+  const row = document.createElement('li');
+  row.textContent = text;
+  row.title = text;
+  if (className) row.className = className;
+  return row;
+}
+
+/**
+ * In-page panel showing what Quacktize is doing
+ */
+export const debugOverlayPlugin = {
+  name: 'debugOverlay',
+  
+  defaults: {
+    debugOverlay: false,
+    debugOverlayPosition: 'bottom-right',
+    debugOverlayInterval: 1000
+  },
+  
+  restartOn: ['debugOverlayPosition', 'debugOverlayInterval'],
+  
+  state() {
+    return {
+      overlay: null
+    };
+  },
+  
+  setup() {
+    this._initDebugOverlay();
+  },
+  
+  teardown() {
+    this.overlay = null;
+  },
+  
+  methods: {
+    /**
+     * Create the overlay and keep it up to date
+     * @private
+     */
+    _initDebugOverlay() {
+      const host = document.createElement('div');
+      host.id = 'quacktize-overlay';
+      host.setAttribute('data-position', this.config.debugOverlayPosition);
+      
+      // A shadow root keeps page styles and the DOM observer out
+      const root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+      const style = document.createElement('style');
+      style.textContent = OVERLAY_STYLES;
+      
+      const panel = document.createElement('div');
+      panel.className = 'panel';
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.textContent = 'Quacktize';
+      toggle.setAttribute('aria-expanded', 'true');
+      const body = document.createElement('div');
+      body.className = 'body';
+      
+      toggle.addEventListener('click', () => {
+        body.hidden = !body.hidden;
+        toggle.setAttribute('aria-expanded', String(!body.hidden));
+      });
+      
+      panel.append(toggle, body);
+      root.append(style, panel);
+      this.overlay = body;
+      
+      const mount = () => {
+        document.body.appendChild(host);
+        this._renderOverlay();
+      };
+      if (document.body) {
+        mount();
+      } else {
+        this._listen('debugOverlay', document, 'DOMContentLoaded', mount, { once: true });
+      }
+      this._addCleanup('debugOverlay', () => host.remove());
+      
+      const timer = setInterval(() => this._renderOverlay(), this.config.debugOverlayInterval);
+      this._addCleanup('debugOverlay', () => clearInterval(timer));
+    },
+  
+    /**
+     * Redraw the overlay sections
+     * @private
+     */
+    _renderOverlay() {
+      if (!this.overlay) return;
+      
+      const sections = [];
+      const addSection = (title, rows) => {
+        const heading = document.createElement('h2');
+        heading.textContent = `${title} (${rows.length})`;
+        const list = document.createElement('ul');
+        list.append(...rows.slice(0, OVERLAY_MAX_ROWS));
+        if (rows.length > OVERLAY_MAX_ROWS) list.append(createRow(`and ${rows.length - OVERLAY_MAX_ROWS} more`));
+        sections.push(heading, list);
+      };
+      
+      // Live metrics, with vitals colored by rating
+      const { vitals, ...counters } = this.getMetrics();
+      addSection('Metrics', [
+        ...Object.keys(counters).map(key => createRow(`${key}: ${Math.round(counters[key])}`)),
+        ...Object.values(vitals).filter(Boolean).map(metric => (
+          createRow(`${metric.name}: ${metric.name === 'cls' ? metric.value.toFixed(3) : Math.round(metric.value)}`, metric.rating)
+        ))
+      ]);
+      
+      if (this.getBudgets && this.config.budgets) {
+        addSection('Budgets', this.getBudgets().map(({ name, value, limit, exceeded }) => (
+          createRow(`${name}: ${value === null ? '-' : Math.round(value * 1000) / 1000} / ${limit}`, exceeded ? 'exceeded' : '')
+        )));
+      }
+      
+      // Elements still waiting for the viewport, then the ones that started
+      if (this.lazyLoaders) {
+        const { lazyLoadingClass, lazyLoadedClass, lazyErrorClass } = this.config;
+        const states = {};
+        
+        // State classes switched off with null or an empty string are not tracked
+        [[lazyLoadingClass, 'loading'], [lazyLoadedClass, 'loaded'], [lazyErrorClass, 'error']].forEach(([className, state]) => {
+          if (className) states[className] = state;
+        });
+        const selector = [this._getLazySelector(), ...Object.keys(states).map(className => `.${className}`)].join(', ');
+        const rows = [];
+        
+        this._getRoots().forEach(root => {
+          this._queryAll(root, selector).forEach(el => {
+            const className = Object.keys(states).find(name => el.classList.contains(name));
+            const state = className ? states[className] : 'pending';
+            rows.push(createRow(`${state} ${describeOverlayElement(el)}`, state));
+          });
+        });
+        addSection('Lazy elements', rows);
+      }
+      
+      if (this.prefetchedUrls) {
+        addSection('Prefetched', Array.from(this.prefetchedUrls, url => createRow(url)));
+      }
+      
+      addSection('Injected hints', this.injectedElements
+        .filter(({ element }) => element.tagName === 'LINK')
+        .map(({ feature, element }) => createRow(`${element.rel} ${element.getAttribute('href')} (${feature})`)));
+      
+      this.overlay.replaceChildren(...sections);
+    }
+  }
+};
@@ -0,0 +1,373 @@
+/**
+ * Facades plugin
+ * Replaces heavy embeds with lightweight previews that load the real embed
+ * on click. Set it up before lazy loading, which would otherwise load
+ * marked iframes.
+ */
+
+import { toOrigin } from '../utils';
+
+/**
+ * Distance from the viewport at which facade thumbnails start loading
+ * @private
+ */
+const FACADE_THUMBNAIL_MARGIN = '200px';
+
+/**
+ * Built-in facades for heavy embeds. Each has a `label` for its preview
+ * button and the `origins` to preconnect to on hover. A `match` regex
+ * recognizes the provider from an embed URL, capturing the content id.
+ * `thumbnail(data)` returns a preview image URL or a promise of one, and
+ * either `embed(data)` returns the iframe URL or `load(data, optimizer)`
+ * loads the real widget itself.
+ */
+export const FACADES = {
+  youtube: {
+    label: 'Play video',
+    match: /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?v=)|youtu\.be\/)([\w-]{11})/,
+    origins: ['https://www.youtube-nocookie.com', 'https://www.google.com', 'https://static.doubleclick.net'],
+    thumbnail({ id }) {
+      return `https://i.ytimg.com/vi/${id}/hqdefault.jpg`;
+    },
+    embed({ id }) {
+      return `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?autoplay=1`;
+    }
+  },
+  
+  vimeo: {
+    label: 'Play video',
+    match: /vimeo\.com\/(?:video\/)?(\d+)/,
+    origins: ['https://player.vimeo.com', 'https://i.vimeocdn.com', 'https://f.vimeocdn.com'],
+    thumbnail({ id }) {
+      return fetch(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(`https://vimeo.com/${id}`)}`)
+        .then(response => response.json())
+        .then(data => data.thumbnail_url || null);
+    },
+    embed({ id }) {
+      return `https://player.vimeo.com/video/${encodeURIComponent(id)}?autoplay=1`;
+    }
+  },
+  
+  maps: {
+    label: 'Load map',
+    match: /google\.[a-z.]+\/maps\/embed/,
+    origins: ['https://www.google.com', 'https://maps.googleapis.com', 'https://maps.gstatic.com'],
+    embed({ src }) {
+      return src;
+    }
+  },
+  
+  chat: {
+    label: 'Open chat',
+    origins: [],
+    load({ src, container }, optimizer) {
+      if (!optimizer.loadScript) {
+        return Promise.reject(new Error('The chat facade needs the deferJS plugin'));
+      }
+      
+      // The widget renders its own launcher, so the facade goes away
+      return optimizer.loadScript(src).then(() => container.remove());
+    }
+  },
+  
+  iframe: {
+    label: 'Load content',
+    origins: [],
+    embed({ src }) {
+      return src;
+    }
+  }
+};
+
+/**
+ * Lightweight previews for video, map and chat embeds
+ */
+export const facadesPlugin = {
+  name: 'facades',
+  
+  defaults: {
+    facades: true,
+    facadeClass: 'quacktize-facade'
+  },
+  
+  state() {
+    return {
+      facades: { ...FACADES }
+    };
+  },
+  
+  setup() {
+    this._initFacades();
+  },
+  
+  onMutation(context, node, removed) {
+    if (!removed) this._observeFacades(node);
+  },
+  
+  methods: {
+    /**
+     * Replace marked embeds with lightweight previews
+     * @private
+     */
+    _initFacades() {
+      this._log('Initializing facades');
+      
+      this._injectFacadeStyles();
+      this._getRoots().forEach(root => this._observeFacades(root));
+    },
+  
+    /**
+     * Build facades for the marked embeds inside a root
+     * @param {Document|ShadowRoot|Element} root - Root to search
+     * @private
+     */
+    _observeFacades(root) {
+      this._queryAll(root, '[data-facade]').forEach(el => {
+        const data = this._getFacadeData(el);
+        
+        if (!data) {
+          this._log('No facade found for embed:', el);
+          return;
+        }
+        
+        this._createFacade(data);
+        this.metrics.resourcesSaved++;
+      });
+    },
+  
+    /**
+     * Work out the facade, content id and URL of a marked embed
+     * @param {Element} el - Element with a `data-facade` attribute
+     * @returns {Object|null} - Facade data, or null when no facade applies
+     * @private
+     */
+    _getFacadeData(el) {
+      const src = el.dataset.src || el.getAttribute('src') || '';
+      let name = el.dataset.facade;
+      
+      // An empty data-facade means the provider is detected from the URL
+      if (!name) {
+        name = Object.keys(this.facades).find(key => this.facades[key].match && this.facades[key].match.test(src));
+        if (!name && el.tagName === 'IFRAME' && src) name = 'iframe';
+      }
+      
+      const facade = this.facades[name];
+      if (!facade) return null;
+      
+      const match = facade.match ? src.match(facade.match) : null;
+      const id = el.dataset.id || (match && match[1]) || null;
+      if (!id && !src) return null;
+      
+      return {
+        name,
+        facade,
+        el,
+        id,
+        src: src ? new URL(src, document.baseURI).href : null,
+        title: el.dataset.title || el.getAttribute('title') || '',
+        thumbnail: el.dataset.thumbnail || null
+      };
+    },
+  
+    /**
+     * Render the preview of an embed and load the real one on click
+     * @param {Object} data - Facade data from _getFacadeData()
+     * @private
+     */
+    _createFacade(data) {
+      const { name, facade, el, title } = data;
+      const { facadeClass } = this.config;
+      
+      // Marked iframes are swapped for a container, other elements become one
+      let container = el;
+      if (el.tagName === 'IFRAME') {
+        container = document.createElement('div');
+        if (el.id) container.id = el.id;
+        if (el.className) container.className = el.className;
+        el.replaceWith(container);
+      }
+      
+      const width = Number(el.getAttribute('width'));
+      const height = Number(el.getAttribute('height'));
+      if (width && height) container.style.aspectRatio = `${width} / ${height}`;
+      
+      container.removeAttribute('data-facade');
+      container.classList.add(facadeClass, `${facadeClass}--${name}`);
+      
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `${facadeClass}-button`;
+      
+      const label = document.createElement('span');
+      label.className = `${facadeClass}-label`;
+      label.textContent = title ? `${facade.label}: ${title}` : facade.label;
+      
+      const icon = document.createElement('span');
+      icon.className = `${facadeClass}-icon`;
+      icon.setAttribute('aria-hidden', 'true');
+      
+      button.append(icon, label);
+      container.replaceChildren(button);
+      data.container = container;
+      data.button = button;
+      data.width = width;
+      data.height = height;
+      
+      // Facades are part of the content and keep working after destroy()
+      if (data.thumbnail || facade.thumbnail) this._watchFacadeThumbnail(data);
+      
+      const warm = () => this._warmFacade(data);
+      button.addEventListener('pointerenter', warm, { once: true });
+      button.addEventListener('focus', warm, { once: true });
+      button.addEventListener('click', () => this._activateFacade(data), { once: true });
+    },
+  
+    /**
+     * Load the thumbnail of a facade once it nears the viewport, since
+     * some providers need an API request to find it
+     * @param {Object} data - Facade data
+     * @private
+     */
+    _watchFacadeThumbnail(data) {
+      if (!('IntersectionObserver' in window)) {
+        this._loadFacadeThumbnail(data);
+        return;
+      }
+      
+      const observer = new IntersectionObserver((entries) => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+        observer.disconnect();
+        this._loadFacadeThumbnail(data);
+      }, { rootMargin: FACADE_THUMBNAIL_MARGIN });
+      
+      observer.observe(data.container);
+      data.thumbnailObserver = observer;
+    },
+  
+    /**
+     * Show the thumbnail of a facade in its button
+     * @param {Object} data - Facade data
+     * @private
+     */
+    _loadFacadeThumbnail(data) {
+      const { facade, button } = data;
+      const { facadeClass } = this.config;
+      
+      new Promise(resolve => resolve(data.thumbnail || facade.thumbnail(data)))
+        .then(url => {
+          if (!url || !button.isConnected) return;
+          
+          const img = document.createElement('img');
+          img.className = `${facadeClass}-thumbnail`;
+          img.alt = '';
+          img.loading = 'lazy';
+          img.decoding = 'async';
+          img.src = url;
+          button.prepend(img);
+        })
+        .catch(error => this._log('Could not load facade thumbnail:', error));
+    },
+  
+    /**
+     * Preconnect to the origins a facade will load from
+     * @param {Object} data - Facade data
+     * @private
+     */
+    _warmFacade(data) {
+      if (data.warmed) return;
+      data.warmed = true;
+      
+      const { facade } = data;
+      const url = facade.embed ? facade.embed(data) : data.src;
+      
+      facade.origins.concat(url ? toOrigin(url) : [])
+        .filter((origin, index, list) => origin && list.indexOf(origin) === index)
+        .forEach(origin => this._addResourceHint('facades', 'preconnect', origin));
+    },
+  
+    /**
+     * Load the real embed behind a facade
+     * @param {Object} data - Facade data
+     * @private
+     */
+    _activateFacade(data) {
+      const { facade, container, name } = data;
+      const { facadeClass } = this.config;
+      
+      if (data.thumbnailObserver) data.thumbnailObserver.disconnect();
+      this._warmFacade(data);
+      container.classList.add(`${facadeClass}--active`);
+      
+      if (facade.load) {
+        Promise.resolve(facade.load(data, this))
+          .then(() => this._emit(container, 'facadeload', { facade: name }))
+          .catch(error => {
+            container.classList.remove(`${facadeClass}--active`);
+            this._log('Facade failed to load:', error);
+            this._emit(container, 'facadeerror', { facade: name, error });
+          });
+        return;
+      }
+      
+      const iframe = document.createElement('iframe');
+      iframe.src = facade.embed(data);
+      iframe.title = data.title || facade.label;
+      iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; fullscreen';
+      iframe.allowFullscreen = true;
+      if (data.width) iframe.width = data.width;
+      if (data.height) iframe.height = data.height;
+      
+      container.replaceChildren(iframe);
+      
+      // Keep keyboard focus on the player that replaced the button
+      iframe.focus();
+      this._emit(container, 'facadeload', { facade: name });
+    },
+  
+    /**
+     * Inject the base styles of facades
+     * @private
+     */
+    _injectFacadeStyles() {
+      const { facadeClass } = this.config;
+      const style = document.createElement('style');
+      
+      style.id = 'quacktize-facades';
+      style.textContent = [
+        `.${facadeClass} { position: relative; display: block; max-width: 100%; aspect-ratio: 16 / 9; background: #000; overflow: hidden; }`,
+        `.${facadeClass}-button { position: absolute; inset: 0; width: 100%; height: 100%; padding: 0; border: 0; background: none; color: #fff; font: inherit; cursor: pointer; }`,
+        `.${facadeClass}-button:focus-visible { outline: 3px solid #fff; outline-offset: -6px; }`,
+        `.${facadeClass}-thumbnail { position: absolute; inset: 0; width: 100%; height: 100%; object-fit: cover; }`,
+        `.${facadeClass}-icon { position: absolute; top: 50%; left: 50%; width: 68px; height: 48px; margin: -24px 0 0 -34px; border-radius: 12px; background: rgba(0, 0, 0, 0.75); }`,
+        `.${facadeClass}-icon::before { content: ''; position: absolute; top: 14px; left: 26px; border-style: solid; border-width: 10px 0 10px 17px; border-color: transparent transparent transparent #fff; }`,
+        `.${facadeClass}-label { position: absolute; left: 0; right: 0; bottom: 0; padding: 8px 12px; background: linear-gradient(transparent, rgba(0, 0, 0, 0.6)); text-align: left; }`,
+        `.${facadeClass} > iframe { position: absolute; inset: 0; width: 100%; height: 100%; border: 0; }`,
+        `.${facadeClass}--maps .${facadeClass}-icon, .${facadeClass}--chat .${facadeClass}-icon { display: none; }`,
+        `.${facadeClass}--chat { position: fixed; right: 20px; bottom: 20px; z-index: 2147483000; width: auto; aspect-ratio: auto; border-radius: 24px; }`,
+        `.${facadeClass}--chat .${facadeClass}-button, .${facadeClass}--chat .${facadeClass}-label { position: static; background: none; }`
+      ].join('\n');
+      
+      // Replace the styles an earlier run left behind for its facades
+      const previous = document.getElementById(style.id);
+      if (previous) previous.remove();
+      this._inject('facades', style);
+    },
+  
+    /**
+     * Register a facade for another kind of embed
+     * @param {string} name - Facade name used in `data-facade`, replaces an existing facade with the same name
+     * @param {Object} facade - Facade with `label`, `origins`, optional `match` and `thumbnail(data)`, and `embed(data)` or `load(data, optimizer)`
+     * @returns {Quacktize} - Instance for chaining
+     */
+    registerFacade(name, facade) {
+      this.facades = { ...this.facades, [name]: { origins: [], ...facade } };
+      this._log(`Registered facade: ${name}`);
+      
+      if (this.initialized && this.config.facades) {
+        this._getRoots().forEach(root => this._observeFacades(root));
+      }
+      
+      return this;
+    }
+  }
+};
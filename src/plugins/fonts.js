@@ -0,0 +1,355 @@
+/**
+ * Font optimization plugin
+ * Sets font-display, preloads the faces above-the-fold text uses, loads
+ * fonts in stages and declares metric-adjusted fallbacks.
+ */
+
+/**
+ * Preference and MIME type of each font format, lower ranks first
+ * @private
+ */
+const FONT_FORMATS = {
+  woff2: { rank: 0, type: 'font/woff2' },
+  woff: { rank: 1, type: 'font/woff' },
+  truetype: { rank: 2, type: 'font/ttf' },
+  ttf: { rank: 2, type: 'font/ttf' },
+  opentype: { rank: 2, type: 'font/otf' },
+  otf: { rank: 2, type: 'font/otf' }
+};
+
+/**
+ * sessionStorage key remembering that all fonts were loaded
+ * @private
+ */
+const FONTS_LOADED_KEY = 'quacktize-fonts-loaded';
+
+/**
+ * Font faces from the last stylesheet walk, with the stylesheets and rule
+ * counts they were read from
+ * @private
+ */
+let fontFaceCache = null;
+
+/**
+ * Strip quotes and whitespace from a font family name
+ * @param {string} family - Font family
+ * @returns {string} - Normalized name
+ * @private
+ */
+function normalizeFontFamily(family) {
+  return (family || '').trim().replace(/^['"]|['"]$/g, '');
+}
+
+/**
+ * Parse a font-weight descriptor or value into a range
+ * @param {string} weight - Weight such as `bold`, `400` or `100 900`
+ * @returns {number[]} - Minimum and maximum weight
+ * @private
+ */
+function parseFontWeight(weight) {
+  const keywords = { normal: 400, bold: 700, bolder: 700, lighter: 300 };
+  const values = (weight || 'normal').trim().split(/\s+/).map(value => keywords[value] || Number(value) || 400);
+  return [values[0], values[1] || values[0]];
+}
+
+/**
+ * Pick the face whose weight range is closest to a weight
+ * @param {Array} faces - Candidate faces
+ * @param {number} weight - Wanted weight
+ * @returns {Object|null} - Closest face
+ * @private
+ */
+function closestFontWeight(faces, weight) {
+  const distance = ({ weight: [min, max] }) => (weight < min ? min - weight : weight > max ? weight - max : 0);
+  return faces.reduce((best, face) => (!best || distance(face) < distance(best) ? face : best), null);
+}
+
+/**
+ * Parse the src descriptor of a font face, keeping downloadable sources
+ * ordered from the best format to the worst
+ * @param {string} src - src descriptor
+ * @param {string} baseUrl - URL relative sources resolve against
+ * @returns {Array} - Sources with `url` and `type`
+ * @private
+ */
+function parseFontSources(src, baseUrl) {
+  const sources = [];
+  const pattern = /url\(\s*['"]?([^'")]+)['"]?\s*\)(?:\s*format\(\s*['"]?([\w-]+)['"]?\s*\))?/g;
+  let match;
+  
+  while ((match = pattern.exec(src || ''))) {
+    const extension = (match[1].split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1];
+    const format = FONT_FORMATS[(match[2] || extension || '').toLowerCase()];
+    
+    let url;
+    try {
+      url = new URL(match[1], baseUrl).href;
+    } catch (e) {
+      // Invalid URL, skip
+      continue;
+    }
+    
+    sources.push({ url, type: format ? format.type : null, rank: format ? format.rank : 3 });
+  }
+  
+  return sources.sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Count the rules of each stylesheet, -1 for stylesheets that cannot be read
+ * @returns {Array} - Stylesheets with their rule count
+ * @private
+ */
+function readStyleSheets() {
+  return Array.from(document.styleSheets).map(sheet => {
+    try {
+      return [sheet, sheet.cssRules ? sheet.cssRules.length : 0];
+    } catch (e) {
+      return [sheet, -1];
+    }
+  });
+}
+
+/**
+ * Collect @font-face rules with their sources ordered by preference. The
+ * result is reused until stylesheets are added, removed or change size, so
+ * plugins asking during the same startup walk the stylesheets once.
+ * @param {Function} log - Called with a message when a stylesheet cannot be read
+ * @returns {Array} - Font faces
+ */
+export function collectFontFaces(log) {
+  const sheets = readStyleSheets();
+  if (fontFaceCache && fontFaceCache.sheets.length === sheets.length &&
+    fontFaceCache.sheets.every(([sheet, size], i) => sheet === sheets[i][0] && size === sheets[i][1])) {
+    return fontFaceCache.faces;
+  }
+  
+  const faces = [];
+  const walk = (rules, baseUrl) => {
+    Array.from(rules).forEach(rule => {
+      if (rule instanceof CSSFontFaceRule) {
+        const family = normalizeFontFamily(rule.style.getPropertyValue('font-family'));
+        if (!family) return;
+        
+        faces.push({
+          rule,
+          family,
+          key: family.toLowerCase(),
+          style: rule.style.getPropertyValue('font-style') || 'normal',
+          weight: parseFontWeight(rule.style.getPropertyValue('font-weight')),
+          sources: parseFontSources(rule.style.getPropertyValue('src'), baseUrl)
+        });
+      } else if (rule.cssRules) {
+        walk(rule.cssRules, baseUrl);
+      }
+    });
+  };
+  
+  Array.from(document.styleSheets).forEach(sheet => {
+    try {
+      if (sheet.cssRules) walk(sheet.cssRules, sheet.href || document.baseURI);
+    } catch (e) {
+      // CORS error when trying to access cross-origin stylesheets
+      log('Could not access some stylesheets due to CORS restrictions');
+    }
+  });
+  
+  fontFaceCache = { sheets, faces };
+  return faces;
+}
+
+/**
+ * Font loading optimizations
+ */
+export const fontOptimizationPlugin = {
+  name: 'fontOptimization',
+  
+  defaults: {
+    fontOptimization: true,
+    fontDisplay: 'swap',
+    fontDisplayFamilies: {},
+    fontPreloadLimit: 2,
+    fontStages: false,
+    fontStageClass: 'fonts-stage-1',
+    fontLoadedClass: 'fonts-loaded',
+    fontFallbacks: {}
+  },
+  
+  setup() {
+    this._optimizeFonts().catch(error => this._log('Font optimization failed:', error));
+  },
+  
+  methods: {
+    /**
+     * Optimize fonts loading. font-display is set right away, finding and
+     * preloading the faces above the fold waits for the next task.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _optimizeFonts() {
+      this._log('Optimizing font loading');
+      
+      const faces = collectFontFaces(message => this._log(message));
+      const { fontDisplay, fontDisplayFamilies, fontPreloadLimit, fontStages } = this.config;
+      
+      // Apply font-display per family, falling back to the global setting
+      faces.forEach(face => {
+        const display = fontDisplayFamilies[face.family] || fontDisplayFamilies[face.key];
+        if (display || !face.rule.style.fontDisplay) {
+          face.rule.style.fontDisplay = display || fontDisplay;
+        }
+      });
+      
+      this._addFontFallbacks();
+      if (!(await this._yield('fontOptimization'))) return;
+      
+      // Started from the <head>, there is no text to measure until the body is parsed
+      if (!document.body) {
+        await new Promise(resolve => {
+          this._listen('fontOptimization', document, 'DOMContentLoaded', resolve, { once: true });
+        });
+      }
+      
+      // Preload only faces that above-the-fold text renders with
+      const criticalFaces = this._findCriticalFontFaces(faces);
+      const preloaded = new Set(Array.from(document.querySelectorAll('link[rel="preload"][as="font"]'))
+        .map(link => link.href));
+      
+      criticalFaces.slice(0, fontPreloadLimit).forEach(face => {
+        const source = face.sources[0];
+        if (!source || preloaded.has(source.url)) return;
+        
+        const link = document.createElement('link');
+        link.rel = 'preload';
+        link.href = source.url;
+        link.as = 'font';
+        if (source.type) link.type = source.type;
+        link.crossOrigin = 'anonymous';
+        this._inject('fontOptimization', link);
+        preloaded.add(link.href);
+      });
+      
+      if (fontStages) this._loadFontStages(faces, criticalFaces);
+    },
+  
+    /**
+     * Find the font faces used by text above the fold
+     * @param {Array} faces - Font faces from collectFontFaces()
+     * @returns {Array} - Font faces in order of first use
+     * @private
+     */
+    _findCriticalFontFaces(faces) {
+      if (!faces.length) return [];
+      
+      const used = new Set();
+      const viewportHeight = window.innerHeight;
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      const seenParents = new Set();
+      
+      while (walker.nextNode()) {
+        const parent = walker.currentNode.parentElement;
+        if (!parent || seenParents.has(parent) || !walker.currentNode.textContent.trim()) continue;
+        seenParents.add(parent);
+        
+        const rect = parent.getBoundingClientRect();
+        if (rect.top >= viewportHeight) break;
+        if (rect.bottom <= 0) continue;
+        
+        const computed = window.getComputedStyle(parent);
+        const weight = parseFontWeight(computed.fontWeight)[0];
+        const style = computed.fontStyle === 'normal' ? 'normal' : 'italic';
+        
+        // The first family in the stack with a declared face renders the text
+        const family = computed.fontFamily.split(',')
+          .map(name => normalizeFontFamily(name).toLowerCase())
+          .find(name => faces.some(face => face.key === name));
+        if (!family) continue;
+        
+        const candidates = faces.filter(face => face.key === family &&
+          (face.style === 'normal') === (style === 'normal'));
+        const face = closestFontWeight(candidates.length ? candidates : faces.filter(f => f.key === family), weight);
+        if (face) used.add(face);
+      }
+      
+      return Array.from(used);
+    },
+  
+    /**
+     * Load critical font faces first, then the rest when idle, switching
+     * classes on the root element after each stage
+     * @param {Array} faces - All font faces
+     * @param {Array} criticalFaces - Faces used above the fold
+     * @private
+     */
+    _loadFontStages(faces, criticalFaces) {
+      if (!document.fonts || !document.fonts.load) return;
+      
+      const { fontStageClass, fontLoadedClass } = this.config;
+      const root = document.documentElement;
+      const load = list => Promise.all(list.map(face => (
+        document.fonts.load(`${face.style} ${face.weight[0]} 1em "${face.family}"`)
+      )));
+      
+      // Fonts are cached for the rest of the session, skip the swap
+      try {
+        if (sessionStorage.getItem(FONTS_LOADED_KEY)) {
+          root.classList.add(fontStageClass, fontLoadedClass);
+          return;
+        }
+      } catch (e) {
+        // Storage unavailable
+      }
+      
+      load(criticalFaces)
+        .then(() => {
+          root.classList.add(fontStageClass);
+          this._log('Critical fonts loaded');
+          
+          const rest = faces.filter(face => !criticalFaces.includes(face));
+          return new Promise(resolve => this._whenIdle(resolve)).then(() => load(rest));
+        })
+        .then(() => {
+          root.classList.add(fontLoadedClass);
+          this._log('All fonts loaded');
+          
+          try {
+            sessionStorage.setItem(FONTS_LOADED_KEY, '1');
+          } catch (e) {
+            // Storage unavailable
+          }
+        })
+        .catch(e => this._log('Font loading failed:', e));
+    },
+  
+    /**
+     * Declare metric-adjusted local fallback faces so swapping to the web
+     * font shifts the layout less
+     * @private
+     */
+    _addFontFallbacks() {
+      const { fontFallbacks } = this.config;
+      const families = Object.keys(fontFallbacks);
+      if (!families.length || document.getElementById('quacktize-font-fallbacks')) return;
+      
+      const descriptors = {
+        sizeAdjust: 'size-adjust',
+        ascentOverride: 'ascent-override',
+        descentOverride: 'descent-override',
+        lineGapOverride: 'line-gap-override'
+      };
+      
+      const style = document.createElement('style');
+      style.id = 'quacktize-font-fallbacks';
+      style.textContent = families.map(family => {
+        const { fallback = 'Arial', ...metrics } = fontFallbacks[family];
+        const declarations = Object.keys(descriptors)
+          .filter(name => metrics[name])
+          .map(name => `${descriptors[name]}: ${metrics[name]};`);
+        
+        return `@font-face { font-family: "${family} Fallback"; src: local("${fallback}"); ${declarations.join(' ')} }`;
+      }).join('\n');
+      
+      this._inject('fontOptimization', style);
+    }
+  }
+};
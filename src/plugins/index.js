@@ -0,0 +1,66 @@
+/**
+ * Built-in plugins
+ * Each can be imported on its own; `builtInPlugins` lists them in the order
+ * the default build registers them.
+ */
+
+import { adaptivePlugin } from './adaptive';
+import { priorityHintsPlugin } from './priority-hints';
+import { facadesPlugin } from './facades';
+import { lazyLoadPlugin } from './lazy-load';
+import { prefetchPlugin } from './prefetch';
+import { smoothScrollPlugin } from './smooth-scroll';
+import { fontOptimizationPlugin } from './fonts';
+import { resourceHintsPlugin } from './resource-hints';
+import { deferJSPlugin } from './scripts';
+import { webVitalsPlugin } from './web-vitals';
+import { longTasksPlugin } from './long-tasks';
+import { analyticsPlugin } from './analytics';
+import { serviceWorkerPlugin } from './service-worker';
+import { criticalCSSPlugin } from './critical-css';
+import { budgetsPlugin } from './budgets';
+import { debugOverlayPlugin } from './debug-overlay';
+
+export {
+  adaptivePlugin,
+  priorityHintsPlugin,
+  facadesPlugin,
+  lazyLoadPlugin,
+  prefetchPlugin,
+  smoothScrollPlugin,
+  fontOptimizationPlugin,
+  resourceHintsPlugin,
+  deferJSPlugin,
+  webVitalsPlugin,
+  longTasksPlugin,
+  analyticsPlugin,
+  serviceWorkerPlugin,
+  criticalCSSPlugin,
+  budgetsPlugin,
+  debugOverlayPlugin
+};
+
+/**
+ * Every built-in plugin. Adaptive loading comes first so its overrides
+ * apply to the others, then priority hints so the LCP image is loaded
+ * eagerly, and facades before lazy loading, which would otherwise load
+ * marked iframes.
+ */
+export const builtInPlugins = [
+  adaptivePlugin,
+  priorityHintsPlugin,
+  facadesPlugin,
+  lazyLoadPlugin,
+  prefetchPlugin,
+  smoothScrollPlugin,
+  fontOptimizationPlugin,
+  resourceHintsPlugin,
+  deferJSPlugin,
+  webVitalsPlugin,
+  longTasksPlugin,
+  analyticsPlugin,
+  serviceWorkerPlugin,
+  criticalCSSPlugin,
+  budgetsPlugin,
+  debugOverlayPlugin
+];
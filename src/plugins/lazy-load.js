@@ -0,0 +1,620 @@
+/**
+ * Lazy loading plugin
+ * Loads images, iframes, videos and backgrounds as they near the viewport,
+ * with placeholders, retries and load events.
+ */
+
+import { decodeBlurHash, isBlurHash } from '../blurhash';
+
+/**
+ * Copy a data attribute into a property and drop the attribute
+ * @param {Element} el - Element to update
+ * @param {string} key - Dataset key
+ * @param {string} prop - Property to assign
+ * @returns {boolean} - Whether the attribute was present
+ * @private
+ */
+function swapAttribute(el, key, prop) {
+  if (!el.dataset[key]) return false;
+  
+  el[prop] = el.dataset[key];
+  delete el.dataset[key];
+  return true;
+}
+
+/**
+ * Use the variant sources of an element, and of the sources of its
+ * `<picture>`, in place of the default ones, for example `data-srcset-low`
+ * for the `low` variant
+ * @param {Element} el - Element about to load
+ * @param {string} variant - Variant name
+ * @private
+ */
+function applyVariant(el, variant) {
+  const suffix = variant.charAt(0).toUpperCase() + variant.slice(1);
+  const targets = el.parentElement && el.parentElement.tagName === 'PICTURE'
+    ? [...el.parentElement.querySelectorAll('source'), el]
+    : [el];
+  
+  targets.forEach(target => {
+    ['src', 'srcset', 'poster', 'bg'].forEach(key => {
+      const value = target.dataset[key + suffix];
+      if (value && target.dataset[key]) target.dataset[key] = value;
+    });
+  });
+}
+
+/**
+ * Get an element together with the `<source>` elements loaded along with
+ * it: the children of a video or audio element, or the siblings of an
+ * image in a `<picture>`
+ * @param {Element} el - Lazy element
+ * @returns {Element[]} - Source elements followed by the element
+ * @private
+ */
+function withSources(el) {
+  const container = el.parentElement && el.parentElement.tagName === 'PICTURE' ? el.parentElement : el;
+  return [...container.querySelectorAll('source'), el];
+}
+
+/**
+ * Wait for an element's resource to finish loading
+ * @param {Element} el - Element whose resource was just swapped in
+ * @returns {Promise} - Resolves on load, rejects on error
+ * @private
+ */
+function waitForLoad(el) {
+  return new Promise((resolve, reject) => {
+    const tag = el.tagName;
+    const isMedia = tag === 'VIDEO' || tag === 'AUDIO';
+    
+    if (tag === 'IMG' && el.complete && el.getAttribute('src')) {
+      if (el.naturalWidth) resolve();
+      else reject(new Error(`Failed to load ${el.currentSrc || el.src}`));
+      return;
+    }
+    
+    // Only the poster was swapped, nothing is fetched until playback
+    if (isMedia && !el.getAttribute('src') && !el.querySelector('source[src]')) {
+      resolve();
+      return;
+    }
+    
+    if (tag !== 'IMG' && tag !== 'IFRAME' && !isMedia) {
+      resolve();
+      return;
+    }
+    
+    const loadEvent = isMedia ? 'loadeddata' : 'load';
+    const onLoad = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (e) => {
+      cleanup();
+      reject(new Error(`Failed to load ${(e.target && e.target.src) || el.currentSrc || el.src}`));
+    };
+    const cleanup = () => {
+      el.removeEventListener(loadEvent, onLoad);
+      el.removeEventListener('error', onError, true);
+    };
+    
+    el.addEventListener(loadEvent, onLoad);
+    // Capture errors from <source> children, which do not bubble
+    el.addEventListener('error', onError, true);
+  });
+}
+
+/**
+ * Preload an image URL
+ * @param {string} url - Image URL
+ * @returns {Promise} - Resolves on load, rejects on error
+ * @private
+ */
+function preloadImage(url) {
+  return new Promise((resolve, reject) => {
+    const probe = new Image();
+    probe.onload = () => resolve();
+    probe.onerror = () => reject(new Error(`Failed to load ${url}`));
+    probe.src = url;
+  });
+}
+
+/**
+ * Parse an aspect ratio such as `16/9`, `16:9` or `1.78`
+ * @param {string} value - Aspect ratio
+ * @returns {number|null} - Width divided by height
+ * @private
+ */
+function parseAspectRatio(value) {
+  if (!value) return null;
+  
+  const [width, height = 1] = value.split(/[/:]/).map(Number);
+  const ratio = width / height;
+  return ratio > 0 && isFinite(ratio) ? ratio : null;
+}
+
+/**
+ * Built-in lazy loaders, checked in order. Each has a `selector` for the
+ * elements it handles and a `load(el)` that swaps in the real resource and
+ * returns whether anything was loaded. An optional `wait(el)` returns a
+ * promise settling when the resource has loaded, otherwise the element's
+ * own load and error events are used.
+ */
+export const LAZY_LOADERS = {
+  image: {
+    selector: 'img[data-src], img[data-srcset]',
+    load(img) {
+      // Sources of a <picture> are swapped together with its <img>
+      if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+        img.parentElement.querySelectorAll('source[data-srcset]').forEach(source => {
+          swapAttribute(source, 'srcset', 'srcset');
+        });
+      }
+      
+      const srcset = swapAttribute(img, 'srcset', 'srcset');
+      const src = swapAttribute(img, 'src', 'src');
+      return src || srcset;
+    }
+  },
+  
+  iframe: {
+    selector: 'iframe[data-src]:not([data-facade])',
+    load(iframe) {
+      return swapAttribute(iframe, 'src', 'src');
+    }
+  },
+  
+  video: {
+    selector: 'video[data-src], video[data-poster], video[data-lazy]',
+    load(video) {
+      const poster = swapAttribute(video, 'poster', 'poster');
+      let sources = swapAttribute(video, 'src', 'src');
+      
+      video.querySelectorAll('source[data-src]').forEach(source => {
+        sources = swapAttribute(source, 'src', 'src') || sources;
+      });
+      video.removeAttribute('data-lazy');
+      
+      // Pick up the new <source> children
+      if (sources) video.load();
+      return poster || sources;
+    }
+  },
+  
+  background: {
+    selector: '[data-bg]',
+    load(el) {
+      if (!el.dataset.bg) return false;
+      
+      el.style.backgroundImage = `url("${el.dataset.bg}")`;
+      delete el.dataset.bg;
+      return true;
+    },
+    wait(el) {
+      const urlMatch = el.style.backgroundImage.match(/url\(['"]?([^'")]+)['"]?\)/);
+      return urlMatch ? preloadImage(urlMatch[1]) : Promise.resolve();
+    }
+  }
+};
+
+/**
+ * Lazy loading of images and other elements
+ */
+export const lazyLoadPlugin = {
+  name: 'lazyLoad',
+  
+  defaults: {
+    lazyLoad: true,
+    lazyLoadThreshold: 200,
+    lazyLoadRetries: 2,
+    lazyLoadRetryDelay: 1000,
+    lazyLoadingClass: 'quacktize-loading',
+    lazyLoadedClass: 'quacktize-loaded',
+    lazyErrorClass: 'quacktize-error',
+    lazyLoadVariant: null,
+    onLoad: null,
+    onError: null,
+    placeholders: true,
+    placeholderClass: 'quacktize-placeholder',
+    placeholderBlur: 16,
+    placeholderTransition: 400
+  },
+  
+  metrics: {
+    imagesOptimized: 0,
+    imagesFailed: 0
+  },
+  
+  restartOn: ['lazyLoadThreshold'],
+  
+  state() {
+    return {
+      lazyLoaders: { ...LAZY_LOADERS },
+      retryTimers: new Set(),
+      placeholders: new WeakMap(),
+      lazyLoadObserver: null
+    };
+  },
+  
+  setup() {
+    this._initLazyLoad();
+  },
+  
+  onMutation(context, node, removed) {
+    if (!removed) {
+      this._observeLazyImages(node);
+    } else if (this.lazyLoadObserver) {
+      this._queryAll(node, this._getLazySelector()).forEach(el => {
+        this.lazyLoadObserver.unobserve(el);
+      });
+    }
+  },
+  
+  pause() {
+    if (this.lazyLoadObserver) this.lazyLoadObserver.disconnect();
+  },
+  
+  methods: {
+    /**
+     * Initialize lazy loading for images
+     * @private
+     */
+    _initLazyLoad() {
+      this._log('Initializing lazy loading');
+      
+      if (this.config.placeholders) this._injectPlaceholderStyles();
+      
+      // Use Intersection Observer if available
+      if ('IntersectionObserver' in window) {
+        const lazyLoadOptions = {
+          rootMargin: `${this.config.lazyLoadThreshold}px`,
+          threshold: 0.01
+        };
+  
+        this.lazyLoadObserver = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              this._loadElement(entry.target);
+              this.lazyLoadObserver.unobserve(entry.target);
+            }
+          });
+        }, lazyLoadOptions);
+  
+        this._addCleanup('lazyLoad', () => {
+          this.lazyLoadObserver.disconnect();
+          this.lazyLoadObserver = null;
+        });
+        this._addCleanup('lazyLoad', () => this._clearRetries());
+  
+        // Target all elements handled by a lazy loader
+        this._getRoots().forEach(root => this._observeLazyImages(root));
+      } else {
+        // Fallback for browsers without Intersection Observer
+        this._lazyLoadFallback();
+      }
+    },
+  
+    /**
+     * Fallback lazy loading for browsers without IntersectionObserver
+     * @private
+     */
+    _lazyLoadFallback() {
+      this._log('Using fallback lazy loading');
+      
+      const loadVisibleImages = () => {
+        if (this.paused) return;
+        
+        const viewHeight = window.innerHeight;
+        
+        this._getRoots().forEach(root => this._queryAll(root, this._getLazySelector()).forEach(el => {
+          const rect = el.getBoundingClientRect();
+          
+          // Check if element is in viewport or about to be
+          if (rect.top <= viewHeight + this.config.lazyLoadThreshold) {
+            this._loadElement(el);
+          }
+        }));
+      };
+  
+      // Keep a reference so newly added elements can be checked right away
+      this._loadVisibleImages = loadVisibleImages;
+      this._addCleanup('lazyLoad', () => {
+        this._loadVisibleImages = null;
+      });
+      this._addCleanup('lazyLoad', () => this._clearRetries());
+  
+      // Load initial visible elements
+      this._getRoots().forEach(root => this._observeLazyImages(root));
+      
+      // Add scroll and resize listeners
+      this._listen('lazyLoad', window, 'scroll', this._throttle(loadVisibleImages, 200));
+      this._listen('lazyLoad', window, 'resize', this._throttle(loadVisibleImages, 200));
+    },
+  
+    /**
+     * Swap in the real resource of a lazy element using its loader
+     * @param {Element} el - Element to load
+     * @returns {boolean} - Whether anything was loaded
+     * @private
+     */
+    _loadElement(el) {
+      const loader = Object.values(this.lazyLoaders).find(({ selector }) => el.matches(selector));
+      if (!loader) return false;
+      
+      if (this.config.lazyLoadVariant) applyVariant(el, this.config.lazyLoadVariant);
+      
+      // Keep the original data attributes around for retries, including those of <source> elements
+      const sources = withSources(el).map(target => [target, { ...target.dataset }]);
+      
+      this._setLoadState(el, this.config.lazyLoadingClass);
+      if (!loader.load(el)) {
+        el.classList.remove(this.config.lazyLoadingClass);
+        return false;
+      }
+      
+      this._emit(el, 'lazyload');
+      this._watchLoad(el, loader, sources, 0);
+      return true;
+    },
+  
+    /**
+     * Track the outcome of a lazy load, retrying with backoff on failure
+     * @param {Element} el - Element being loaded
+     * @param {Object} loader - Loader that handled the element
+     * @param {Array} sources - `[element, dataset]` pairs of the element and its sources before loading
+     * @param {number} attempt - Number of retries so far
+     * @private
+     */
+    _watchLoad(el, loader, sources, attempt) {
+      const loading = loader.wait ? loader.wait(el) : waitForLoad(el);
+      
+      loading.then(() => {
+        this._setLoadState(el, this.config.lazyLoadedClass);
+        this._revealPlaceholder(el);
+        this.metrics.imagesOptimized++;
+        this._emit(el, 'loaded', { attempts: attempt + 1 });
+        if (this.config.onLoad) this.config.onLoad(el);
+      }, (error) => {
+        if (attempt < this.config.lazyLoadRetries) {
+          const delay = this.config.lazyLoadRetryDelay * 2 ** attempt;
+          this._log(`Retrying in ${delay}ms:`, error.message);
+          
+          const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            sources.forEach(([target, dataset]) => Object.assign(target.dataset, dataset));
+            loader.load(el);
+            this._watchLoad(el, loader, sources, attempt + 1);
+          }, delay);
+          this.retryTimers.add(timer);
+          return;
+        }
+        
+        this._handleLoadError(el, error, attempt + 1);
+      });
+    },
+  
+    /**
+     * Mark a lazy element as failed and apply its fallback, if any
+     * @param {Element} el - Element that failed to load
+     * @param {Error} error - Load error
+     * @param {number} attempts - Number of attempts made
+     * @private
+     */
+    _handleLoadError(el, error, attempts) {
+      const fallback = el.dataset.fallback;
+      
+      if (fallback) {
+        delete el.dataset.fallback;
+        
+        if ('src' in el) {
+          el.removeAttribute('srcset');
+          
+          // The sources of a picture would still win over the fallback
+          if (el.parentElement && el.parentElement.tagName === 'PICTURE') {
+            el.parentElement.querySelectorAll('source').forEach(source => source.removeAttribute('srcset'));
+          }
+          el.src = fallback;
+        } else {
+          el.style.backgroundImage = `url("${fallback}")`;
+        }
+      }
+      
+      this._setLoadState(el, this.config.lazyErrorClass);
+      this._revealPlaceholder(el);
+      this.metrics.imagesFailed++;
+      this._log('Lazy load failed:', error.message);
+      this._emit(el, 'error', { error, attempts, fallback: fallback || null });
+      if (this.config.onError) this.config.onError(el, error);
+    },
+  
+    /**
+     * Reserve space for a lazy element and show a placeholder until it loads.
+     * Images accept `data-placeholder` (an inline LQIP or small URL) or
+     * `data-blurhash`; any lazy element accepts `data-placeholder-color`.
+     * @param {Element} el - Lazy element
+     * @private
+     */
+    _applyPlaceholder(el) {
+      if (this.placeholders.has(el)) return;
+      
+      const state = { color: false, blurred: false };
+      this.placeholders.set(el, state);
+      
+      // Reserve space so the element does not shift the layout when it loads
+      const width = Number(el.getAttribute('width'));
+      const height = Number(el.getAttribute('height'));
+      const ratio = parseAspectRatio(el.dataset.aspectRatio) || (width && height ? width / height : null);
+      if (ratio && !el.style.aspectRatio) {
+        el.style.aspectRatio = String(ratio);
+      }
+      
+      if (el.dataset.placeholderColor && !el.style.backgroundColor) {
+        el.style.backgroundColor = el.dataset.placeholderColor;
+        state.color = true;
+      }
+      
+      if (el.tagName !== 'IMG' || el.getAttribute('src')) return;
+      
+      const placeholder = el.dataset.placeholder || this._renderBlurHash(el.dataset.blurhash, ratio);
+      if (placeholder) {
+        el.src = placeholder;
+        el.classList.add(this.config.placeholderClass);
+        state.blurred = true;
+      }
+    },
+  
+    /**
+     * Render a BlurHash into a data URL
+     * @param {string} hash - BlurHash string
+     * @param {number|null} ratio - Aspect ratio of the image
+     * @returns {string|null} - PNG data URL, or null when it cannot be rendered
+     * @private
+     */
+    _renderBlurHash(hash, ratio) {
+      if (!isBlurHash(hash)) return null;
+      
+      // A tiny canvas is enough, the browser scales and blurs it
+      const width = 32;
+      const height = Math.max(1, Math.round(width / (ratio || 1)));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      
+      const context = canvas.getContext && canvas.getContext('2d');
+      if (!context) return null;
+      
+      const imageData = context.createImageData(width, height);
+      imageData.data.set(decodeBlurHash(hash, width, height));
+      context.putImageData(imageData, 0, 0);
+      return canvas.toDataURL();
+    },
+  
+    /**
+     * Fade out the placeholder of an element once it has loaded or failed
+     * @param {Element} el - Lazy element
+     * @private
+     */
+    _revealPlaceholder(el) {
+      const state = this.placeholders.get(el);
+      if (!state) return;
+      
+      this.placeholders.delete(el);
+      if (state.color) el.style.backgroundColor = '';
+      
+      if (state.blurred) {
+        const { placeholderClass, placeholderTransition } = this.config;
+        
+        // The fade has to outlive the class carrying the blur
+        if (placeholderTransition > 0 && !el.style.transition) {
+          el.style.transition = `filter ${placeholderTransition}ms ease-out`;
+          el.addEventListener('transitionend', () => { el.style.transition = ''; }, { once: true });
+        }
+        el.classList.remove(placeholderClass);
+      }
+    },
+  
+    /**
+     * Inject the blur-up styles used by image placeholders
+     * @private
+     */
+    _injectPlaceholderStyles() {
+      const { placeholderClass, placeholderBlur } = this.config;
+      const style = document.createElement('style');
+      
+      // The class is removed once the image loads or fails
+      style.id = 'quacktize-placeholders';
+      style.textContent = `.${placeholderClass} { filter: blur(${placeholderBlur}px); }`;
+      document.head.appendChild(style);
+      this._addCleanup('lazyLoad', () => style.remove());
+    },
+  
+    /**
+     * Replace the lazy state class of an element
+     * @param {Element} el - Lazy element
+     * @param {string} className - State class to apply
+     * @private
+     */
+    _setLoadState(el, className) {
+      const { lazyLoadingClass, lazyLoadedClass, lazyErrorClass } = this.config;
+      
+      [lazyLoadingClass, lazyLoadedClass, lazyErrorClass].forEach(name => {
+        if (name) el.classList.remove(name);
+      });
+      if (className) el.classList.add(className);
+    },
+  
+    /**
+     * Cancel pending lazy load retries
+     * @private
+     */
+    _clearRetries() {
+      this.retryTimers.forEach(timer => clearTimeout(timer));
+      this.retryTimers.clear();
+    },
+  
+    /**
+     * Get a selector matching every element handled by a lazy loader
+     * @returns {string} - Combined CSS selector
+     * @private
+     */
+    _getLazySelector() {
+      return Object.values(this.lazyLoaders).map(({ selector }) => selector).join(', ');
+    },
+  
+    /**
+     * Attach lazy elements inside a root to the lazy load observer
+     * @param {Document|ShadowRoot|Element} root - Root to search
+     * @private
+     */
+    _observeLazyImages(root) {
+      const elements = this._queryAll(root, this._getLazySelector());
+      
+      if (this.config.placeholders) {
+        elements.forEach(el => this._applyPlaceholder(el));
+      }
+      
+      if (this.lazyLoadObserver) {
+        elements.forEach(el => this.lazyLoadObserver.observe(el));
+      } else if (this._loadVisibleImages) {
+        this._loadVisibleImages();
+      }
+    },
+  
+    /**
+     * Manually load an image or other lazy element
+     * @param {string} selector - CSS selector for the element
+     * @returns {Quacktize} - Instance for chaining
+     */
+    loadImage(selector) {
+      const el = document.querySelector(selector);
+      
+      if (el && this._loadElement(el)) {
+        if (this.lazyLoadObserver) this.lazyLoadObserver.unobserve(el);
+        this._log(`Manually loaded image: ${selector}`);
+      }
+      
+      return this;
+    },
+  
+    /**
+     * Register a lazy loader for another kind of element. Loaders are checked
+     * in registration order, after the built-in ones.
+     * @param {string} name - Loader name, replaces an existing loader with the same name
+     * @param {Object} loader - Loader definition
+     * @param {string} loader.selector - CSS selector for elements the loader handles
+     * @param {Function} loader.load - Swaps in the real resource, returns whether anything was loaded
+     * @returns {Quacktize} - Instance for chaining
+     */
+    registerLazyLoader(name, loader) {
+      this.lazyLoaders = { ...this.lazyLoaders, [name]: loader };
+      this._log(`Registered lazy loader: ${name}`);
+      
+      if (this.initialized && this.config.lazyLoad) {
+        this._getRoots().forEach(root => this._observeLazyImages(root));
+      }
+      
+      return this;
+    }
+  }
+};
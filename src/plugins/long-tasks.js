@@ -0,0 +1,81 @@
+/**
+ * Long tasks plugin
+ * Counts Long Animation Frames, or long tasks where the browser does not
+ * report frames, and the time they blocked the main thread.
+ */
+
+/**
+ * Entry types to observe, preferred first
+ * @private
+ */
+const LONG_TASK_TYPES = ['long-animation-frame', 'longtask'];
+
+/**
+ * Duration after which a task blocks input, in milliseconds
+ * @private
+ */
+const BLOCKING_THRESHOLD = 50;
+
+/**
+ * Long Animation Frame and long task metrics
+ */
+export const longTasksPlugin = {
+  name: 'longTasks',
+  
+  defaults: {
+    longTasks: true
+  },
+  
+  metrics: {
+    longTasks: 0,
+    longTaskTime: 0,
+    blockingTime: 0
+  },
+  
+  setup() {
+    this._initLongTasks();
+  },
+  
+  methods: {
+    /**
+     * Observe long frames or tasks, including those before setup
+     * @private
+     */
+    _initLongTasks() {
+      const supported = 'PerformanceObserver' in window ? PerformanceObserver.supportedEntryTypes || [] : [];
+      const type = LONG_TASK_TYPES.find(entryType => supported.includes(entryType));
+      if (!type) {
+        this._log('Long task timing not supported');
+        return;
+      }
+      
+      // Buffered entries are delivered again, so start counting from zero
+      Object.assign(this.metrics, { longTasks: 0, longTaskTime: 0, blockingTime: 0 });
+      
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => this._recordLongTask(entry));
+      });
+      observer.observe({ type, buffered: true });
+      this._addCleanup('longTasks', () => observer.disconnect());
+    },
+  
+    /**
+     * Add a long frame or task to the metrics
+     * @param {PerformanceEntry} entry - Long animation frame or long task entry
+     * @private
+     */
+    _recordLongTask(entry) {
+      // Long animation frames report their own blocking duration
+      const blocking = 'blockingDuration' in entry
+        ? entry.blockingDuration
+        : Math.max(0, entry.duration - BLOCKING_THRESHOLD);
+      
+      this.metrics.longTasks++;
+      this.metrics.longTaskTime += entry.duration;
+      this.metrics.blockingTime += blocking;
+      
+      const scripts = (entry.scripts || []).map(script => script.sourceURL || script.invoker).filter(Boolean);
+      this._log(`Long ${entry.entryType === 'longtask' ? 'task' : 'animation frame'} of ${Math.round(entry.duration)}ms`, scripts);
+    }
+  }
+};
@@ -0,0 +1,541 @@
+/**
+ * Prefetch plugin
+ * Prefetches likely next pages, ranked by hover, touch and dwell time, with
+ * the Speculation Rules API where supported.
+ */
+
+import { getEventLink } from '../utils';
+
+/**
+ * Prefetch scores for each navigation signal, higher runs first
+ * @private
+ */
+const PREFETCH_SCORES = {
+  dwell: 10,
+  hover: 50,
+  touch: 100
+};
+
+/**
+ * Effective connection types on which nothing is prefetched
+ * @private
+ */
+const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+
+/**
+ * Convert a glob such as `/blog/*` into a regular expression
+ * @param {string} glob - Glob pattern, `*` matches any characters
+ * @returns {RegExp} - Anchored regular expression
+ * @private
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Test a URL against a prefetch include or exclude pattern. Globs starting
+ * with a scheme or `//` match the full URL, others the path and query.
+ * @param {string|RegExp|Function} pattern - Pattern to test
+ * @param {URL} url - Resolved URL
+ * @param {Element|null} link - Link the URL came from, if any
+ * @returns {boolean} - Whether the URL matches
+ * @private
+ */
+function matchesPattern(pattern, url, link) {
+  if (typeof pattern === 'function') return Boolean(pattern(url, link));
+  if (pattern instanceof RegExp) return pattern.test(url.href);
+  
+  const absolute = /^([a-z][a-z\d+.-]*:)?\/\//i.test(pattern);
+  return globToRegExp(pattern).test(absolute ? url.href : url.pathname + url.search);
+}
+
+/**
+ * Link prefetching
+ */
+export const prefetchPlugin = {
+  name: 'prefetch',
+  
+  defaults: {
+    prefetch: true,
+    prefetchDistance: 800,
+    prefetchDwellTime: 500,
+    prefetchHoverDelay: 65,
+    prefetchConcurrency: 2,
+    prefetchMaxBytes: 5 * 1024 * 1024,
+    prefetchInclude: [],
+    prefetchExclude: [/\/(log|sign)-?out\b/i],
+    prefetchCrossOrigin: false,
+    prefetchIgnoreParams: [/^utm_/, 'fbclid', 'gclid', 'msclkid'],
+    speculationRules: false,
+    speculationAction: 'prefetch',
+    speculationEagerness: 'moderate',
+    speculationWhere: null
+  },
+  
+  metrics: {
+    prefetchedBytes: 0
+  },
+  
+  restartOn: ['prefetchDistance'],
+  
+  state() {
+    return {
+      prefetchedUrls: new Set(),
+      prefetchQueue: new Map(),
+      prefetchesInFlight: 0,
+      prefetchLinksInFlight: new Set(),
+      prefetchIdleHandle: null,
+      speculationUrls: new Set(),
+      speculationScript: null,
+      prefetchObserver: null
+    };
+  },
+  
+  setup() {
+    this._initPrefetch();
+  },
+  
+  onMutation(context, node, removed) {
+    if (!removed) {
+      this._observePrefetchLinks(node);
+    } else if (this.prefetchObserver) {
+      this._queryAll(node, 'a[href]').forEach(link => {
+        this.prefetchObserver.unobserve(link);
+      });
+    }
+  },
+  
+  pause() {
+    if (this.prefetchObserver) this.prefetchObserver.disconnect();
+  },
+  
+  teardown(context, { removeInjected }) {
+    // Removed hints and rules no longer cover the URLs they listed
+    if (removeInjected) {
+      this.prefetchedUrls.clear();
+      this.speculationUrls.clear();
+      this.speculationScript = null;
+    }
+  },
+  
+  methods: {
+    /**
+     * Initialize prefetching for links
+     * @private
+     */
+    _initPrefetch() {
+      this._log('Initializing link prefetching');
+      
+      const dwellTimers = new Map();
+      let hoverTimer = null;
+      let hoverLink = null;
+      
+      // Let the browser pick links matching the document rules by itself
+      if (this.config.speculationWhere && this._supportsSpeculationRules()) {
+        this._updateSpeculationRules();
+      }
+      
+      this._addCleanup('prefetch', () => {
+        dwellTimers.forEach(timer => clearTimeout(timer));
+        dwellTimers.clear();
+        clearTimeout(hoverTimer);
+        this._cancelIdle(this.prefetchIdleHandle);
+        this.prefetchIdleHandle = null;
+        this.prefetchQueue.clear();
+        
+        // Removed or forgotten links never settle, so their slots are freed here
+        this.prefetchLinksInFlight.forEach(link => {
+          link.onload = link.onerror = null;
+        });
+        this.prefetchLinksInFlight.clear();
+        this.prefetchesInFlight = 0;
+      });
+      
+      if ('IntersectionObserver' in window) {
+        this.prefetchObserver = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            const link = entry.target;
+            
+            // Only links that stay near the viewport become candidates
+            if (!entry.isIntersecting) {
+              clearTimeout(dwellTimers.get(link));
+              dwellTimers.delete(link);
+              return;
+            }
+            
+            const url = this._getPrefetchUrl(link);
+            if (!url || dwellTimers.has(link)) return;
+            
+            dwellTimers.set(link, setTimeout(() => {
+              dwellTimers.delete(link);
+              if (this.prefetchObserver) this.prefetchObserver.unobserve(link);
+              this._queuePrefetch(url, this._scoreLink(link));
+            }, this.config.prefetchDwellTime));
+          });
+        }, {
+          rootMargin: `${this.config.prefetchDistance}px`,
+          threshold: 0.01
+        });
+  
+        this._addCleanup('prefetch', () => {
+          this.prefetchObserver.disconnect();
+          this.prefetchObserver = null;
+        });
+  
+        // Observe all links on the page
+        this._getRoots().forEach(root => this._observePrefetchLinks(root));
+      }
+  
+      // Hovering or focusing a link for a moment signals intent to navigate
+      const startHover = (e) => {
+        const link = getEventLink(e);
+        if (this.paused || !link || link === hoverLink) return;
+        
+        clearTimeout(hoverTimer);
+        hoverLink = link;
+        
+        const url = this._getPrefetchUrl(link);
+        if (!url) return;
+        
+        hoverTimer = setTimeout(() => {
+          this._queuePrefetch(url, PREFETCH_SCORES.hover);
+        }, this.config.prefetchHoverDelay);
+      };
+      
+      const endHover = (e) => {
+        const link = getEventLink(e);
+        
+        // Moving between elements inside the same link keeps the timer
+        if (!link || link !== hoverLink || link.contains(e.relatedTarget)) return;
+        
+        clearTimeout(hoverTimer);
+        hoverLink = null;
+      };
+      
+      this._listen('prefetch', document, 'mouseover', startHover);
+      this._listen('prefetch', document, 'mouseout', endHover);
+      this._listen('prefetch', document, 'focusin', startHover);
+      this._listen('prefetch', document, 'focusout', endHover);
+      
+      // A touch is about to become a click, so fetch right away
+      this._listen('prefetch', document, 'touchstart', (e) => {
+        const link = getEventLink(e);
+        if (this.paused || !link) return;
+        
+        const url = this._getPrefetchUrl(link);
+        if (url) this._queuePrefetch(url, PREFETCH_SCORES.touch, true);
+      }, { passive: true });
+    },
+  
+    /**
+     * Attach links inside a root to the prefetch observer
+     * @param {Document|ShadowRoot|Element} root - Root to search
+     * @private
+     */
+    _observePrefetchLinks(root) {
+      if (!this.prefetchObserver) return;
+      
+      this._queryAll(root, 'a[href]').forEach(link => {
+        this.prefetchObserver.observe(link);
+      });
+    },
+  
+    /**
+     * Get the URL a link would prefetch, if it is eligible
+     * @param {Element} link - Link element
+     * @returns {string|null} - URL to prefetch
+     * @private
+     */
+    _getPrefetchUrl(link) {
+      const href = link.getAttribute('href');
+      if (!href || link.hasAttribute('download') || link.closest('[data-no-prefetch]')) return null;
+      
+      const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+      if (rel.includes('nofollow') || rel.includes('external')) return null;
+      
+      const url = this._resolvePrefetchUrl(href, link);
+      return url && !this.prefetchedUrls.has(url) ? url : null;
+    },
+  
+    /**
+     * Resolve and normalize a URL, then check it against the prefetch rules
+     * @param {string} href - URL or path to resolve
+     * @param {Element|null} [link=null] - Link the URL came from, if any
+     * @returns {string|null} - Normalized URL, or null when it must not be prefetched
+     * @private
+     */
+    _resolvePrefetchUrl(href, link = null) {
+      const url = this._normalizeUrl(href);
+      if (!url) return null;
+      
+      // Cross-origin links need an explicit opt-in
+      const { prefetchCrossOrigin, prefetchInclude, prefetchExclude } = this.config;
+      if (url.origin !== window.location.origin) {
+        const allowed = prefetchCrossOrigin === true ||
+          (Array.isArray(prefetchCrossOrigin) && prefetchCrossOrigin.includes(url.origin)) ||
+          Boolean(link && link.hasAttribute('data-prefetch'));
+        if (!allowed) return null;
+      }
+      
+      // Jumping within the current page needs no prefetch
+      const current = new URL(window.location.href);
+      current.hash = '';
+      if (url.href === current.href) return null;
+      
+      if (prefetchInclude.length && !prefetchInclude.some(pattern => matchesPattern(pattern, url, link))) {
+        return null;
+      }
+      if (prefetchExclude.some(pattern => matchesPattern(pattern, url, link))) {
+        return null;
+      }
+      
+      return url.href;
+    },
+  
+    /**
+     * Resolve a URL against the document and drop its hash and tracking
+     * parameters, which point at the same document
+     * @param {string} href - URL or path to resolve
+     * @returns {URL|null} - Normalized http(s) URL, or null when invalid
+     * @private
+     */
+    _normalizeUrl(href) {
+      let url;
+      try {
+        url = new URL(href, document.baseURI);
+      } catch (e) {
+        // Invalid URL, skip
+        return null;
+      }
+      
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      
+      url.hash = '';
+      Array.from(url.searchParams.keys()).forEach(key => {
+        if (this._isIgnoredParam(key)) url.searchParams.delete(key);
+      });
+      
+      return url;
+    },
+  
+    /**
+     * Check whether a query parameter is ignored when normalizing URLs
+     * @param {string} key - Parameter name
+     * @returns {boolean} - Whether the parameter is dropped
+     * @private
+     */
+    _isIgnoredParam(key) {
+      return this.config.prefetchIgnoreParams.some(param => (
+        param instanceof RegExp ? param.test(key) : param === key
+      ));
+    },
+  
+    /**
+     * Score a link that dwelled near the viewport. Links higher up on the
+     * screen and with a larger area are more likely to be clicked.
+     * @param {Element} link - Link element
+     * @returns {number} - Prefetch score
+     * @private
+     */
+    _scoreLink(link) {
+      const rect = link.getBoundingClientRect();
+      const viewHeight = window.innerHeight || 1;
+      const position = Math.max(0, 1 - Math.max(0, rect.top) / viewHeight);
+      const area = Math.min((rect.width * rect.height) / 10000, 1);
+      
+      return PREFETCH_SCORES.dwell + position * 10 + area * 5;
+    },
+  
+    /**
+     * Decide which prefetches the current network allows
+     * @returns {string} - 'none', 'intent' (hover and touch only) or 'all'
+     * @private
+     */
+    _getPrefetchLevel() {
+      const connection = navigator.connection;
+      if (!connection) return 'all';
+      
+      if (connection.saveData || SLOW_CONNECTIONS.includes(connection.effectiveType)) {
+        return 'none';
+      }
+      
+      return connection.effectiveType === '3g' ? 'intent' : 'all';
+    },
+  
+    /**
+     * Add a URL to the prefetch queue
+     * @param {string} url - URL to prefetch
+     * @param {number} score - Likelihood of navigation, higher runs first
+     * @param {boolean} [immediate=false] - Run the queue now instead of when idle
+     * @private
+     */
+    _queuePrefetch(url, score, immediate = false) {
+      if (this.paused || this.prefetchedUrls.has(url)) return;
+      
+      const level = this._getPrefetchLevel();
+      if (level === 'none' || (level === 'intent' && score < PREFETCH_SCORES.hover)) {
+        this._log(`Skipped prefetch on slow connection: ${url}`);
+        return;
+      }
+      
+      this.prefetchQueue.set(url, Math.max(score, this.prefetchQueue.get(url) || 0));
+      
+      if (immediate) {
+        this._runPrefetchQueue();
+      } else if (!this.prefetchIdleHandle) {
+        this.prefetchIdleHandle = this._whenIdle(() => {
+          this.prefetchIdleHandle = null;
+          this._runPrefetchQueue();
+        });
+      }
+    },
+  
+    /**
+     * Prefetch the highest scoring queued URLs within the concurrency and
+     * byte limits
+     * @private
+     */
+    _runPrefetchQueue() {
+      const { prefetchConcurrency, prefetchMaxBytes } = this.config;
+      
+      while (this.prefetchQueue.size && this.prefetchesInFlight < prefetchConcurrency) {
+        if (prefetchMaxBytes && this.metrics.prefetchedBytes >= prefetchMaxBytes) {
+          this._log('Prefetch byte budget reached');
+          this.prefetchQueue.clear();
+          return;
+        }
+        
+        let best = null;
+        this.prefetchQueue.forEach((score, url) => {
+          if (!best || score > best.score) best = { url, score };
+        });
+        
+        this.prefetchQueue.delete(best.url);
+        if (!this.prefetchedUrls.has(best.url)) {
+          this._prefetchUrl(best.url);
+          this.prefetchedUrls.add(best.url);
+        }
+      }
+    },
+  
+    /**
+     * Check whether speculation rules are enabled and supported
+     * @returns {boolean} - Whether to use speculation rules instead of link prefetching
+     * @private
+     */
+    _supportsSpeculationRules() {
+      return Boolean(this.config.speculationRules) &&
+        typeof HTMLScriptElement !== 'undefined' &&
+        typeof HTMLScriptElement.supports === 'function' &&
+        HTMLScriptElement.supports('speculationrules');
+    },
+  
+    /**
+     * Replace the speculation rules script with one describing every
+     * queued URL and the configured document rules. Browsers ignore changes
+     * to an inserted rules script, so a new one is inserted each time.
+     * @private
+     */
+    _updateSpeculationRules() {
+      const { speculationAction, speculationEagerness, speculationWhere } = this.config;
+      const rules = [];
+      
+      // URLs picked by the scheduler have already earned a fetch
+      if (this.speculationUrls.size) {
+        rules.push({
+          source: 'list',
+          urls: Array.from(this.speculationUrls),
+          eagerness: 'immediate'
+        });
+      }
+      
+      if (speculationWhere) {
+        rules.push({
+          source: 'document',
+          where: typeof speculationWhere === 'string'
+            ? { selector_matches: speculationWhere }
+            : speculationWhere,
+          eagerness: speculationEagerness
+        });
+      }
+      
+      const script = document.createElement('script');
+      script.type = 'speculationrules';
+      script.textContent = JSON.stringify({ [speculationAction]: rules });
+      
+      const previous = this.speculationScript;
+      if (previous) {
+        previous.remove();
+        this.injectedElements = this.injectedElements.filter(entry => entry.element !== previous);
+      }
+      
+      this._inject('prefetch', script);
+      this.speculationScript = script;
+    },
+  
+    /**
+     * Prefetch a URL
+     * @param {string} url - URL to prefetch
+     * @private
+     */
+    _prefetchUrl(url) {
+      if (this._supportsSpeculationRules()) {
+        this.speculationUrls.add(url);
+        this._updateSpeculationRules();
+        this._log(`Added speculation rule (${this.config.speculationAction}): ${url}`);
+        this.metrics.resourcesSaved++;
+        this._emit(document, 'prefetch', { url });
+        return;
+      }
+      
+      const prefetchLink = document.createElement('link');
+      prefetchLink.rel = 'prefetch';
+      prefetchLink.href = url;
+      
+      // Free the slot and count the bytes once the prefetch settles
+      const settle = (loaded) => {
+        prefetchLink.onload = prefetchLink.onerror = null;
+        this.prefetchLinksInFlight.delete(prefetchLink);
+        this.prefetchesInFlight--;
+        
+        const entry = performance.getEntriesByName
+          ? performance.getEntriesByName(prefetchLink.href).pop()
+          : null;
+        if (entry) this.metrics.prefetchedBytes += entry.transferSize || entry.encodedBodySize || 0;
+        
+        if (loaded) this._emit(document, 'prefetch', { url });
+        if (this.prefetchQueue.size) this._runPrefetchQueue();
+      };
+      prefetchLink.onload = () => settle(true);
+      prefetchLink.onerror = () => settle(false);
+      
+      this.prefetchesInFlight++;
+      this.prefetchLinksInFlight.add(prefetchLink);
+      this._inject('prefetch', prefetchLink);
+      this._log(`Prefetched: ${url}`);
+      this.metrics.resourcesSaved++;
+      
+      // Browsers without prefetch support never fire load or error
+      const { relList } = prefetchLink;
+      if (!relList || !relList.supports || !relList.supports('prefetch')) settle(false);
+    },
+  
+    /**
+     * Manually prefetch a URL
+     * @param {string} url - URL to prefetch
+     * @returns {Quacktize} - Instance for chaining
+     */
+    prefetch(url) {
+      const normalized = url ? this._normalizeUrl(url) : null;
+      if (!normalized || this.prefetchedUrls.has(normalized.href)) return this;
+      
+      this._prefetchUrl(normalized.href);
+      this.prefetchedUrls.add(normalized.href);
+      return this;
+    }
+  }
+};
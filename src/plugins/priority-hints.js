@@ -0,0 +1,122 @@
+/**
+ * Priority hints plugin
+ * Loads the likely LCP image early with high priority and lowers the
+ * priority of resources below the fold.
+ */
+
+import { LAZY_LOADERS } from './lazy-load';
+
+/**
+ * Fetch priorities for the LCP image and resources below the fold. Set it
+ * up before lazy loading so the LCP image is loaded eagerly.
+ */
+export const priorityHintsPlugin = {
+  name: 'priorityHints',
+  
+  defaults: {
+    priorityHints: true,
+    lcpPreload: true
+  },
+  
+  setup() {
+    this._prioritizeResources();
+  },
+  
+  methods: {
+    /**
+     * Raise the priority of the likely LCP image and lower it for
+     * resources below the fold
+     * @private
+     */
+    _prioritizeResources() {
+      this._log('Prioritizing resources');
+      
+      const viewportHeight = window.innerHeight;
+      const isAboveFold = rect => rect.top < viewportHeight && rect.bottom > 0;
+      const lowerPriority = el => {
+        if (!el.hasAttribute('fetchpriority')) el.setAttribute('fetchpriority', 'low');
+      };
+      
+      const lcpImage = this._findLCPImage();
+      if (lcpImage) this._prioritizeImage(lcpImage);
+      
+      document.querySelectorAll('img, iframe').forEach(el => {
+        if (el !== lcpImage && !isAboveFold(el.getBoundingClientRect())) lowerPriority(el);
+      });
+      
+      // Async scripts never block rendering, so they should not compete with it
+      document.querySelectorAll('script[src][async]').forEach(script => {
+        if (script.id !== 'critical') lowerPriority(script);
+      });
+    },
+  
+    /**
+     * Find the image most likely to be the Largest Contentful Paint
+     * @returns {HTMLImageElement|null} - An image marked with
+     *   `data-priority`, or the largest image above the fold
+     * @private
+     */
+    _findLCPImage() {
+      const marked = document.querySelector('img[data-priority]');
+      if (marked) return marked;
+      
+      const viewportWidth = window.innerWidth;
+      const viewportHeight = window.innerHeight;
+      let largest = null;
+      let largestArea = 0;
+      
+      document.querySelectorAll('img').forEach(img => {
+        const rect = img.getBoundingClientRect();
+        
+        // Only the visible part of an image counts towards LCP
+        const width = Math.min(rect.right, viewportWidth) - Math.max(rect.left, 0);
+        const height = Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0);
+        const area = Math.max(0, width) * Math.max(0, height);
+        
+        if (area > largestArea) {
+          largest = img;
+          largestArea = area;
+        }
+      });
+      
+      return largest;
+    },
+  
+    /**
+     * Load an image eagerly with high priority and preload it
+     * @param {HTMLImageElement} img - Likely LCP image
+     * @private
+     */
+    _prioritizeImage(img) {
+      this._log('Prioritizing likely LCP image:', img);
+      
+      // Never lazy-load the LCP image
+      (this.lazyLoaders || LAZY_LOADERS).image.load(img);
+      if (img.getAttribute('loading') === 'lazy') img.setAttribute('loading', 'eager');
+      img.setAttribute('fetchpriority', 'high');
+      
+      const src = img.getAttribute('src');
+      const srcset = img.getAttribute('srcset');
+      if (!this.config.lcpPreload || (!src && !srcset)) return;
+      
+      // <picture> sources cannot be expressed in a single preload
+      if (img.parentElement && img.parentElement.tagName === 'PICTURE' &&
+          img.parentElement.querySelector('source')) return;
+      
+      const exists = Array.from(document.querySelectorAll('link[rel="preload"][as="image"]')).some(link => (
+        (src && link.href === img.src) || (srcset && link.getAttribute('imagesrcset') === srcset)
+      ));
+      if (exists) return;
+      
+      const link = document.createElement('link');
+      link.rel = 'preload';
+      link.setAttribute('as', 'image');
+      if (src) link.href = src;
+      if (srcset) link.setAttribute('imagesrcset', srcset);
+      if (img.sizes) link.setAttribute('imagesizes', img.sizes);
+      link.setAttribute('fetchpriority', 'high');
+      if (img.hasAttribute('crossorigin')) link.setAttribute('crossorigin', img.getAttribute('crossorigin'));
+      this._inject('priorityHints', link);
+    }
+  }
+};
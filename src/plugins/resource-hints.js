@@ -0,0 +1,149 @@
+/**
+ * Resource hints plugin
+ * Preconnects to the third-party origins that matter most and adds
+ * dns-prefetch hints for the rest.
+ */
+
+import { toOrigin, getCrossOriginMode } from '../utils';
+import { collectFontFaces } from './fonts';
+
+/**
+ * Resource hint score of an origin for each resource it serves
+ * @private
+ */
+const HINT_SCORES = {
+  head: 10,
+  font: 8,
+  aboveFoldImage: 5,
+  script: 3,
+  image: 1
+};
+
+/**
+ * Score an origin needs to be preconnected rather than only DNS prefetched
+ * @private
+ */
+const PRECONNECT_MIN_SCORE = 5;
+
+/**
+ * Preconnect and dns-prefetch hints for third-party origins
+ */
+export const resourceHintsPlugin = {
+  name: 'resourceHints',
+  
+  defaults: {
+    resourceHints: true,
+    preconnect: [],
+    dnsPrefetch: [],
+    preconnectLimit: 4,
+    dnsPrefetchLimit: 8
+  },
+  
+  setup() {
+    this._addResourceHints().catch(error => this._log('Could not add resource hints:', error));
+  },
+  
+  methods: {
+    /**
+     * Add resource hints to improve loading
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _addResourceHints() {
+      this._log('Adding resource hints');
+      
+      const origins = await this._scoreOrigins();
+      if (!origins) return;
+      
+      const { preconnect, dnsPrefetch, preconnectLimit, dnsPrefetchLimit } = this.config;
+      
+      // Explicit origins come first and are always preconnected while room remains
+      preconnect.forEach(entry => {
+        const { origin, crossOrigin = null } = typeof entry === 'string' ? { origin: entry } : entry;
+        origins.unshift({ origin: toOrigin(origin), modes: new Map([[crossOrigin, Infinity]]), score: Infinity });
+      });
+      
+      let preconnects = document.querySelectorAll('link[rel~="preconnect"]').length;
+      const prefetchOnly = [];
+      
+      origins.forEach(({ origin, modes, score }) => {
+        if (!origin) return;
+        
+        // Connections are pooled per credentials mode, so each mode needs its own hint
+        const ranked = Array.from(modes.keys()).sort((a, b) => modes.get(b) - modes.get(a));
+        let connected = false;
+        
+        ranked.forEach(crossOrigin => {
+          if (score < PRECONNECT_MIN_SCORE || preconnects >= preconnectLimit) return;
+          if (this._addResourceHint('resourceHints', 'preconnect', origin, crossOrigin)) preconnects++;
+          connected = true;
+        });
+        
+        if (!connected) prefetchOnly.push(origin);
+      });
+      
+      dnsPrefetch.map(toOrigin).concat(prefetchOnly)
+        .filter((origin, index, list) => origin && list.indexOf(origin) === index)
+        .slice(0, dnsPrefetchLimit)
+        .forEach(origin => this._addResourceHint('resourceHints', 'dns-prefetch', origin));
+    },
+  
+    /**
+     * Score third-party origins by the resources the page loads from them.
+     * Resources are scored in chunks so large pages do not block the main thread.
+     * @returns {Promise<Array|null>} - Origins with their score and credentials modes, highest
+     * score first, or null when the plugin was torn down before scoring finished
+     * @private
+     */
+    async _scoreOrigins() {
+      const origins = new Map();
+      const viewportHeight = window.innerHeight;
+      
+      const add = (url, score, crossOrigin = null) => {
+        const origin = toOrigin(url);
+        if (!origin || origin === window.location.origin) return;
+        
+        if (!origins.has(origin)) origins.set(origin, { origin, modes: new Map(), score: 0 });
+        const entry = origins.get(origin);
+        entry.score += score;
+        entry.modes.set(crossOrigin, (entry.modes.get(crossOrigin) || 0) + score);
+      };
+      
+      const scorers = [];
+      
+      // Render-blocking and preloaded resources in <head>
+      scorers.push([document.querySelectorAll('head link[href]'), link => {
+        const rel = link.rel.toLowerCase();
+        if (!/\b(stylesheet|preload|modulepreload)\b/.test(rel)) return;
+        
+        // Fonts and module scripts are always fetched in CORS mode
+        const cors = link.getAttribute('as') === 'font' || rel.includes('modulepreload');
+        add(link.href, HINT_SCORES.head, getCrossOriginMode(link, cors));
+      }]);
+      
+      scorers.push([document.querySelectorAll('script[src]'), script => {
+        const inHead = document.head.contains(script);
+        const score = inHead && !script.async && !script.defer ? HINT_SCORES.head : HINT_SCORES.script;
+        add(script.src, score, getCrossOriginMode(script, script.type === 'module'));
+      }]);
+      
+      scorers.push([collectFontFaces(message => this._log(message)), face => {
+        if (face.sources[0]) add(face.sources[0].url, HINT_SCORES.font, 'anonymous');
+      }]);
+      
+      scorers.push([document.querySelectorAll('img[src], img[data-src]'), img => {
+        const rect = img.getBoundingClientRect();
+        const aboveFold = rect.top < viewportHeight && rect.bottom >= 0;
+        add(img.getAttribute('src') || img.dataset.src,
+          aboveFold ? HINT_SCORES.aboveFoldImage : HINT_SCORES.image,
+          getCrossOriginMode(img));
+      }]);
+      
+      for (const [items, score] of scorers) {
+        if (!(await this._forEachChunk('resourceHints', Array.from(items), score))) return null;
+      }
+      
+      return Array.from(origins.values()).sort((a, b) => b.score - a.score);
+    }
+  }
+};
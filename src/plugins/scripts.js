@@ -0,0 +1,353 @@
+/**
+ * Script loader plugin
+ * Loads `<script type="text/quacktize">` placeholders when the page is
+ * idle, on interaction, when visible or after load, in dependency order.
+ */
+
+/**
+ * Placeholders for scripts loaded by the script loader
+ * @private
+ */
+const SCRIPT_PLACEHOLDER_SELECTOR = 'script[type="text/quacktize"]';
+
+/**
+ * Placeholder attributes that configure the loader and are not copied
+ * to the real script
+ * @private
+ */
+const SCRIPT_DATA_ATTRIBUTES = ['data-src', 'data-id', 'data-after', 'data-strategy', 'data-target', 'data-type'];
+
+/**
+ * Events counting as the first user interaction
+ * @private
+ */
+const SCRIPT_INTERACTION_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'scroll'];
+
+/**
+ * Split a space or comma separated list of script ids
+ * @param {string|string[]} [list] - List to split
+ * @returns {string[]} - Ids
+ * @private
+ */
+function parseScriptList(list) {
+  if (!list) return [];
+  return Array.isArray(list) ? list : list.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Deferred loading of script placeholders. `loadScript()` works even when
+ * the `deferJS` option is off.
+ */
+export const deferJSPlugin = {
+  name: 'deferJS',
+  
+  defaults: {
+    deferJS: true,
+    scriptStrategy: 'idle',
+    scriptVisibleMargin: 200
+  },
+  
+  state() {
+    return {
+      scripts: new Map(),
+      scriptPlaceholders: new WeakSet(),
+      pendingScripts: new Set(),
+      interactionScripts: [],
+      interacted: false
+    };
+  },
+  
+  setup() {
+    this._initScriptLoader();
+  },
+  
+  onMutation(context, node, removed) {
+    if (!removed) this._observeScripts(node);
+  },
+  
+  methods: {
+    /**
+     * Load script placeholders when their strategy fires
+     * @private
+     */
+    _initScriptLoader() {
+      this._log('Initializing script loader');
+      
+      const onInteraction = () => {
+        this.interacted = true;
+        this.interactionScripts.splice(0).forEach(entry => this._runScript(entry));
+      };
+      
+      SCRIPT_INTERACTION_EVENTS.forEach(type => {
+        this._listen('deferJS', window, type, onInteraction, { capture: true, passive: true });
+      });
+      this._addCleanup('deferJS', () => {
+        this.interactionScripts = [];
+        
+        // Placeholders that have not started are scheduled again on the next setup
+        this.pendingScripts.forEach(entry => {
+          this.scriptPlaceholders.delete(entry.placeholder);
+          this.scripts.forEach((registered, key) => {
+            if (registered === entry) this.scripts.delete(key);
+          });
+        });
+        this.pendingScripts.clear();
+      });
+      
+      this._getRoots().forEach(root => this._observeScripts(root));
+    },
+  
+    /**
+     * Register the script placeholders inside a root
+     * @param {Document|ShadowRoot|Element} root - Root to search
+     * @private
+     */
+    _observeScripts(root) {
+      const placeholders = this._queryAll(root, SCRIPT_PLACEHOLDER_SELECTOR)
+        .filter(placeholder => !this.scriptPlaceholders.has(placeholder));
+      
+      // Register them all before scheduling any, so a script can depend on a later one
+      const entries = placeholders.map(placeholder => {
+        this.scriptPlaceholders.add(placeholder);
+        
+        const { src, id, after } = placeholder.dataset;
+        const entry = this._registerScript({
+          id,
+          src,
+          after: parseScriptList(after),
+          placeholder
+        });
+        
+        this.pendingScripts.add(entry);
+        this.metrics.resourcesSaved++;
+        return entry;
+      });
+      
+      entries.forEach(entry => {
+        const { strategy = this.config.scriptStrategy } = entry.placeholder.dataset;
+        this._scheduleScript(entry, strategy, entry.placeholder);
+      });
+    },
+  
+    /**
+     * Remember a script under its id and URL so it loads once and can be
+     * depended on
+     * @param {Object} entry - Script id, src, dependencies and placeholder or options
+     * @returns {Object} - Registered entry
+     * @private
+     */
+    _registerScript(entry) {
+      entry.src = entry.src ? new URL(entry.src, document.baseURI).href : null;
+      entry.promise = null;
+      
+      if (entry.id) this.scripts.set(entry.id, entry);
+      if (entry.src && !this.scripts.has(entry.src)) this.scripts.set(entry.src, entry);
+      return entry;
+    },
+  
+    /**
+     * Start a script when its loading strategy fires
+     * @param {Object} entry - Registered script
+     * @param {string} strategy - `idle`, `interaction`, `visible` or `load`
+     * @param {Element} placeholder - Placeholder element
+     * @private
+     */
+    _scheduleScript(entry, strategy, placeholder) {
+      const run = () => this._runScript(entry);
+      
+      switch (strategy) {
+        case 'interaction':
+          if (this.interacted) {
+            run();
+          } else {
+            this.interactionScripts.push(entry);
+          }
+          break;
+        
+        case 'visible': {
+          const target = (placeholder.dataset.target && document.querySelector(placeholder.dataset.target)) ||
+            placeholder.parentElement;
+          
+          if (!('IntersectionObserver' in window) || !target) {
+            run();
+            break;
+          }
+          
+          const observer = new IntersectionObserver((entries) => {
+            if (!entries.some(item => item.isIntersecting)) return;
+            observer.disconnect();
+            run();
+          }, { rootMargin: `${this.config.scriptVisibleMargin}px` });
+          
+          observer.observe(target);
+          this._addCleanup('deferJS', () => observer.disconnect());
+          break;
+        }
+        
+        case 'load':
+          if (document.readyState === 'complete') {
+            run();
+          } else {
+            this._listen('deferJS', window, 'load', run, { once: true });
+          }
+          break;
+        
+        default: {
+          if (strategy !== 'idle') this._log(`Unknown script strategy "${strategy}", loading when idle`);
+          
+          const handle = this._whenIdle(run);
+          this._addCleanup('deferJS', () => this._cancelIdle(handle));
+        }
+      }
+    },
+  
+    /**
+     * Start a placeholder script, logging failures instead of rejecting
+     * @param {Object} entry - Registered script
+     * @private
+     */
+    _runScript(entry) {
+      this._startScript(entry).catch(error => this._log('Script failed to load:', error));
+    },
+  
+    /**
+     * Load a script once its dependencies have loaded
+     * @param {Object} entry - Registered script
+     * @param {Object[]} [chain=[]] - Scripts waiting on this one, to detect cycles
+     * @returns {Promise<HTMLScriptElement>} - Resolves once the script has run
+     * @private
+     */
+    _startScript(entry, chain = []) {
+      this.pendingScripts.delete(entry);
+      
+      if (chain.includes(entry)) {
+        const names = chain.concat(entry).map(item => item.id || item.src);
+        return Promise.reject(new Error(`Circular script dependency: ${names.join(' -> ')}`));
+      }
+      
+      if (!entry.promise) {
+        const dependents = chain.concat(entry);
+        entry.promise = Promise.all(entry.after.map(dependency => this._requireScript(dependency, dependents)))
+          .then(() => this._injectScript(entry))
+          .catch(error => {
+            // Forget the failure so the script can be loaded again
+            entry.promise = null;
+            throw error;
+          });
+      }
+      return entry.promise;
+    },
+  
+    /**
+     * Load a dependency by id or URL
+     * @param {string} dependency - Script id or URL
+     * @param {Object[]} chain - Scripts waiting on the dependency
+     * @returns {Promise<HTMLScriptElement>} - Resolves once the dependency has run
+     * @private
+     */
+    _requireScript(dependency, chain) {
+      const entry = this.scripts.get(dependency);
+      if (entry) return this._startScript(entry, chain);
+      
+      // A bare name must refer to a registered script, anything else is a URL
+      if (!/[/.]/.test(dependency)) {
+        return Promise.reject(new Error(`Unknown script dependency: ${dependency}`));
+      }
+      return this.loadScript(dependency);
+    },
+  
+    /**
+     * Insert the real script for an entry
+     * @param {Object} entry - Registered script
+     * @returns {Promise<HTMLScriptElement>} - Resolves once the script has run
+     * @private
+     */
+    _injectScript({ id, src, placeholder, type, attributes = {} }) {
+      const script = document.createElement('script');
+      
+      if (placeholder) {
+        Array.from(placeholder.attributes).forEach(attr => {
+          if (attr.name !== 'type' && !SCRIPT_DATA_ATTRIBUTES.includes(attr.name)) {
+            script.setAttribute(attr.name, attr.value);
+          }
+        });
+        
+        // Browsers hide the nonce attribute once parsed, the property keeps it
+        if (placeholder.nonce) script.nonce = placeholder.nonce;
+        type = placeholder.dataset.type;
+      } else {
+        Object.keys(attributes).forEach(name => script.setAttribute(name, attributes[name]));
+      }
+      
+      if (type) script.type = type;
+      
+      const target = placeholder || script;
+      const insert = () => {
+        if (placeholder && placeholder.parentNode) {
+          placeholder.after(script);
+        } else {
+          document.head.appendChild(script);
+        }
+      };
+      
+      // Inline placeholders run synchronously on insertion
+      if (!src) {
+        script.textContent = placeholder ? placeholder.textContent : '';
+        insert();
+        this._emit(target, 'scriptload', { id: id || null, src: null });
+        return Promise.resolve(script);
+      }
+      
+      return new Promise((resolve, reject) => {
+        script.addEventListener('load', () => {
+          this._log(`Loaded script: ${src}`);
+          this._emit(target, 'scriptload', { id: id || null, src });
+          resolve(script);
+        }, { once: true });
+        
+        script.addEventListener('error', () => {
+          const error = new Error(`Failed to load script: ${src}`);
+          this._emit(target, 'scripterror', { id: id || null, src, error });
+          
+          // A failed script must not count as already in the page
+          script.remove();
+          reject(error);
+        }, { once: true });
+        
+        script.src = src;
+        insert();
+      });
+    },
+  
+    /**
+     * Load a script, after the scripts it depends on. Each URL is only
+     * loaded once unless it failed, and passing the id of a script
+     * placeholder loads it now instead of waiting for its strategy.
+     * @param {string} src - Script URL or placeholder id
+     * @param {Object} [options] - Script options
+     * @param {string} [options.id] - Id other scripts can depend on
+     * @param {string|string[]} [options.after] - Ids or URLs of scripts to load first
+     * @param {string} [options.type] - Script type, such as `module`
+     * @param {Object} [options.attributes] - Attributes to set on the script
+     * @returns {Promise<HTMLScriptElement>} - Resolves once the script has run
+     */
+    loadScript(src, options = {}) {
+      const url = new URL(src, document.baseURI).href;
+      const existing = this.scripts.get(src) || this.scripts.get(url);
+      if (existing) return this._startScript(existing);
+      
+      // Scripts already in the page are not loaded twice
+      const loaded = Array.from(document.querySelectorAll('script[src]')).find(script => script.src === url);
+      if (loaded) return Promise.resolve(loaded);
+      
+      const entry = this._registerScript({
+        id: options.id,
+        src,
+        after: parseScriptList(options.after),
+        type: options.type,
+        attributes: options.attributes
+      });
+      return this._startScript(entry);
+    }
+  }
+};
@@ -0,0 +1,146 @@
+/**
+ * Service worker plugin
+ * Registers the Quacktize service worker, hands it prefetched pages and
+ * lazy images to keep in Cache Storage and counts the responses it serves
+ * from there.
+ */
+
+/**
+ * Metric incremented for each kind of hit the worker reports
+ * @private
+ */
+const HIT_METRICS = {
+  page: 'pageCacheHits',
+  image: 'imageCacheHits',
+  offline: 'offlineFallbacks'
+};
+
+/**
+ * Caching of prefetched pages and lazy images by a service worker
+ */
+export const serviceWorkerPlugin = {
+  name: 'serviceWorker',
+  
+  defaults: {
+    serviceWorker: false,
+    serviceWorkerUrl: '/quacktize-sw.js',
+    serviceWorkerScope: '/',
+    serviceWorkerMaxAge: 7 * 24 * 60 * 60 * 1000,
+    serviceWorkerMaxEntries: 50,
+    serviceWorkerOfflinePage: null
+  },
+  
+  metrics: {
+    pageCacheHits: 0,
+    imageCacheHits: 0,
+    offlineFallbacks: 0
+  },
+  
+  restartOn: ['serviceWorkerUrl', 'serviceWorkerScope', 'serviceWorkerMaxAge', 'serviceWorkerMaxEntries', 'serviceWorkerOfflinePage'],
+  
+  state() {
+    return {
+      serviceWorkerRegistration: null
+    };
+  },
+  
+  setup() {
+    this._initServiceWorker();
+  },
+  
+  methods: {
+    /**
+     * Register the service worker and forward cacheable URLs to it
+     * @private
+     */
+    _initServiceWorker() {
+      if (!('serviceWorker' in navigator)) {
+        this._log('Service workers not supported');
+        return;
+      }
+      
+      const { serviceWorker } = navigator;
+      
+      this._listen('serviceWorker', serviceWorker, 'message', (e) => {
+        if (e.data && e.data.type === 'quacktize:cachehit') this._recordCacheHits(e.data.hits);
+      });
+      
+      // Messages wait for DOMContentLoaded unless started explicitly
+      if (serviceWorker.startMessages) serviceWorker.startMessages();
+      
+      // Prefetched pages and lazy images are in the HTTP cache by now
+      this._listen('serviceWorker', document, 'quacktize:prefetch', (e) => {
+        this._postToWorker({ type: 'quacktize:cache', kind: 'page', urls: [e.detail.url] });
+      });
+      this._listen('serviceWorker', document, 'quacktize:loaded', (e) => {
+        const el = e.detail.element;
+        const url = el.tagName === 'IMG' ? el.currentSrc || el.src : null;
+        if (url) this._postToWorker({ type: 'quacktize:cache', kind: 'image', urls: [url] });
+      });
+      
+      serviceWorker.register(this._getServiceWorkerUrl(), { scope: this.config.serviceWorkerScope })
+        .then((registration) => {
+          this.serviceWorkerRegistration = registration;
+          this._log('Registered service worker with scope', registration.scope);
+          
+          // Collect hits for the navigation that loaded this page
+          if (serviceWorker.controller) serviceWorker.controller.postMessage({ type: 'quacktize:hello' });
+        })
+        .catch((error) => {
+          this._log('Service worker registration failed:', error.message);
+        });
+    },
+  
+    /**
+     * Build the worker URL, passing the caching options as query parameters
+     * @returns {string} - Worker URL
+     * @private
+     */
+    _getServiceWorkerUrl() {
+      const { serviceWorkerUrl, serviceWorkerMaxAge, serviceWorkerMaxEntries, serviceWorkerOfflinePage } = this.config;
+      const url = new URL(serviceWorkerUrl, document.baseURI);
+      
+      url.searchParams.set('maxAge', serviceWorkerMaxAge);
+      url.searchParams.set('maxEntries', serviceWorkerMaxEntries);
+      if (serviceWorkerOfflinePage) url.searchParams.set('offline', serviceWorkerOfflinePage);
+      
+      return url.href;
+    },
+  
+    /**
+     * Send a message to the active service worker once there is one
+     * @param {Object} message - Message to send
+     * @private
+     */
+    _postToWorker(message) {
+      navigator.serviceWorker.ready.then((registration) => {
+        if (registration.active) registration.active.postMessage(message);
+      });
+    },
+  
+    /**
+     * Count responses the service worker served from Cache Storage
+     * @param {Array} hits - Hits with a kind and URL
+     * @private
+     */
+    _recordCacheHits(hits) {
+      (hits || []).forEach(({ kind, url }) => {
+        if (!HIT_METRICS[kind]) return;
+        
+        this.metrics[HIT_METRICS[kind]]++;
+        this._log(`Served from the service worker cache (${kind}): ${url}`);
+      });
+    },
+  
+    /**
+     * Remove the pages and images the service worker cached
+     * @returns {Quacktize} - Instance for chaining
+     */
+    clearServiceWorkerCache() {
+      if ('serviceWorker' in navigator) {
+        this._postToWorker({ type: 'quacktize:clear' });
+      }
+      return this;
+    }
+  }
+};
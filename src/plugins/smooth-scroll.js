@@ -0,0 +1,215 @@
+/**
+ * Smooth scroll plugin
+ * Scrolls smoothly to fragments of the current page, moving focus and
+ * updating the history.
+ */
+
+import { getEventLink } from '../utils';
+
+/**
+ * Easing functions for animated scrolling, mapping progress from 0 to 1
+ * @private
+ */
+const EASINGS = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t ** 3 : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * Elements that can take focus without a tabindex
+ * @private
+ */
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable]';
+
+/**
+ * Find the element a URL fragment points to. Ids are looked up directly,
+ * since ids such as `1-intro` are not valid CSS selectors, and like the
+ * browser only `<a name>` is matched by name.
+ * @param {string} hash - Fragment, with or without the leading `#`
+ * @returns {Element|null} - Target element
+ * @private
+ */
+function findHashTarget(hash) {
+  let id = hash.replace(/^#/, '');
+  if (!id) return null;
+  
+  try {
+    id = decodeURIComponent(id);
+  } catch (e) {
+    // Malformed escape, use the fragment as is
+  }
+  
+  return document.getElementById(id) ||
+    Array.from(document.getElementsByName(id)).find(el => el.tagName === 'A') ||
+    null;
+}
+
+/**
+ * Move keyboard focus to a scroll target without scrolling again
+ * @param {Element} el - Target element
+ * @private
+ */
+function focusTarget(el) {
+  if (!el.matches(FOCUSABLE_SELECTOR)) el.setAttribute('tabindex', '-1');
+  el.focus({ preventScroll: true });
+}
+
+/**
+ * Smooth scrolling for links to fragments of the current page
+ */
+export const smoothScrollPlugin = {
+  name: 'smoothScroll',
+  
+  defaults: {
+    smoothScroll: true,
+    scrollOffset: 0,
+    scrollDuration: null,
+    scrollEasing: 'easeInOutCubic',
+    scrollFocus: true,
+    scrollHistory: 'push'
+  },
+  
+  setup() {
+    this._initSmoothScroll();
+  },
+  
+  methods: {
+    /**
+     * Initialize smooth scrolling
+     * @private
+     */
+    _initSmoothScroll() {
+      this._log('Initializing smooth scrolling');
+      
+      // A single delegated listener also covers links added later
+      this._listen('smoothScroll', document, 'click', (e) => {
+        const anchor = getEventLink(e);
+        if (!anchor || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        if ((anchor.target && anchor.target !== '_self') || anchor.hasAttribute('download')) return;
+        
+        // Only fragments of this page, however the href is written
+        const url = new URL(anchor.href, document.baseURI);
+        const { origin, pathname, search } = window.location;
+        if (!url.hash || url.origin !== origin || url.pathname !== pathname || url.search !== search) return;
+        
+        const targetElement = findHashTarget(url.hash);
+        
+        // Leave links to missing targets to the browser
+        if (!targetElement) return;
+        
+        e.preventDefault();
+        this.scrollTo(targetElement, { hash: url.hash });
+      });
+    },
+  
+    /**
+     * Get the offset to leave above a scroll target
+     * @param {number|string|Function} offset - Pixels, selector of a fixed header, or function of the target
+     * @param {Element} target - Scroll target
+     * @returns {number} - Offset in pixels
+     * @private
+     */
+    _getScrollOffset(offset, target) {
+      if (typeof offset === 'function') return Number(offset(target)) || 0;
+      if (typeof offset !== 'string') return Number(offset) || 0;
+      
+      const header = document.querySelector(offset);
+      return header ? header.getBoundingClientRect().height : 0;
+    },
+  
+    /**
+     * Fallback smooth scrolling implementation
+     * @param {number} targetPosition - Vertical position to scroll to
+     * @param {number} duration - Animation duration in ms
+     * @param {string|Function} easing - Easing name or function
+     * @private
+     */
+    _smoothScrollFallback(targetPosition, duration, easing) {
+      const startPosition = window.pageYOffset;
+      const distance = targetPosition - startPosition;
+      const ease = typeof easing === 'function' ? easing : EASINGS[easing] || EASINGS.easeInOutCubic;
+      let startTime = null;
+      
+      function animation(currentTime) {
+        if (startTime === null) startTime = currentTime;
+        const timeElapsed = currentTime - startTime;
+        const progress = duration > 0 ? Math.min(timeElapsed / duration, 1) : 1;
+        
+        window.scrollTo(0, startPosition + distance * ease(progress));
+        
+        if (progress < 1) {
+          requestAnimationFrame(animation);
+        }
+      }
+      
+      requestAnimationFrame(animation);
+    },
+  
+    /**
+     * Smoothly scroll to an element or position, then move focus to the
+     * element and record it in the history
+     * @param {Element|string|number} target - Element, `#id`, CSS selector or vertical position
+     * @param {Object} [options] - Overrides for the scroll options in the config
+     * @param {number|string|Function} [options.offset] - Offset above the target
+     * @param {number|null} [options.duration] - Animation duration in ms, null for native smooth scrolling
+     * @param {string|Function} [options.easing] - Easing for animated scrolling
+     * @param {boolean} [options.focus] - Move keyboard focus to the target
+     * @param {string|boolean} [options.history] - `push`, `replace` or false
+     * @param {string} [options.hash] - Fragment to record, defaults to the target's id
+     * @returns {Quacktize} - Instance for chaining
+     */
+    scrollTo(target, options = {}) {
+      let targetElement = null;
+      
+      if (target instanceof Element) {
+        targetElement = target;
+      } else if (typeof target === 'string') {
+        try {
+          // Only `#` strings are fragments, anything else is a selector
+          targetElement = (target.startsWith('#') && findHashTarget(target)) || document.querySelector(target);
+        } catch (e) {
+          // Not a valid selector either
+        }
+      }
+      
+      if (typeof target !== 'number' && !targetElement) {
+        this._log('Scroll target not found:', target);
+        return this;
+      }
+      
+      const {
+        offset = this.config.scrollOffset,
+        duration = this.config.scrollDuration,
+        easing = this.config.scrollEasing,
+        focus = this.config.scrollFocus,
+        history: historyMode = this.config.scrollHistory
+      } = options;
+      
+      const top = targetElement
+        ? targetElement.getBoundingClientRect().top + window.pageYOffset - this._getScrollOffset(offset, targetElement)
+        : target;
+      const reduceMotion = 'matchMedia' in window && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      
+      if (reduceMotion) {
+        window.scrollTo(0, top);
+      } else if (duration == null && 'scrollBehavior' in document.documentElement.style) {
+        window.scrollTo({ top, behavior: 'smooth' });
+      } else {
+        this._smoothScrollFallback(top, duration == null ? 500 : duration, easing);
+      }
+      
+      // Browsers restore the scroll position of pushed entries on back and forward
+      const hash = options.hash || (targetElement && targetElement.id ? `#${targetElement.id}` : null);
+      if (hash && historyMode && hash !== window.location.hash) {
+        window.history[historyMode === 'replace' ? 'replaceState' : 'pushState'](window.history.state, '', hash);
+      }
+      
+      if (targetElement && focus) focusTarget(targetElement);
+      return this;
+    }
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * Web Vitals plugin
+ * Measures LCP, CLS, INP, FCP and TTFB with attribution through
+ * PerformanceObserver.
+ */
+
+/**
+ * Good and poor thresholds for each Core Web Vital
+ * @private
+ */
+const VITAL_THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800]
+};
+
+/**
+ * Build a short CSS selector describing an element, for attribution
+ * @param {Element|null} el - Element to describe
+ * @returns {string|null} - Selector such as `main > div.hero > img`
+ * @private
+ */
+function describeElement(el) {
+  const parts = [];
+  
+  while (el && el.nodeType === 1 && parts.length < 5) {
+    if (el.id) {
+      parts.unshift(`#${el.id}`);
+      break;
+    }
+    
+    const classes = Array.from(el.classList).slice(0, 2).map(name => `.${name}`).join('');
+    parts.unshift(el.tagName.toLowerCase() + classes);
+    el = el.parentElement;
+  }
+  
+  return parts.length ? parts.join(' > ') : null;
+}
+
+/**
+ * Core Web Vitals collection
+ */
+export const webVitalsPlugin = {
+  name: 'webVitals',
+  
+  defaults: {
+    webVitals: true
+  },
+  
+  setup() {
+    this._initWebVitals();
+  },
+  
+  methods: {
+    /**
+     * Collect Core Web Vitals through PerformanceObserver
+     * @private
+     */
+    _initWebVitals() {
+      if (!('PerformanceObserver' in window)) return;
+      
+      this._log('Collecting Core Web Vitals');
+      
+      const navigation = this._getNavigationEntry();
+      if (navigation) {
+        // Prerendered pages start counting when they are shown
+        const activationStart = navigation.activationStart || 0;
+        this._recordVital('ttfb', Math.max(navigation.responseStart - activationStart, 0), {
+          dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+          connect: navigation.connectEnd - navigation.connectStart,
+          request: navigation.responseStart - navigation.requestStart
+        });
+      }
+      
+      this._observePerformance('paint', entries => {
+        entries.forEach(entry => {
+          if (entry.name === 'first-contentful-paint') {
+            this._recordVital('fcp', entry.startTime, {});
+          }
+        });
+      });
+      
+      this._observePerformance('largest-contentful-paint', entries => {
+        const entry = entries[entries.length - 1];
+        if (!entry) return;
+        
+        this._recordVital('lcp', entry.startTime, {
+          element: describeElement(entry.element),
+          url: entry.url || null,
+          size: entry.size
+        });
+      });
+      
+      // CLS is the largest burst of shifts less than 1s apart and within 5s
+      let session = { value: 0, entries: [] };
+      let largestSession = 0;
+      this._observePerformance('layout-shift', entries => {
+        entries.forEach(entry => {
+          if (entry.hadRecentInput) return;
+          
+          const first = session.entries[0];
+          const last = session.entries[session.entries.length - 1];
+          if (last && (entry.startTime - last.startTime > 1000 || entry.startTime - first.startTime > 5000)) {
+            session = { value: 0, entries: [] };
+          }
+          
+          session.value += entry.value;
+          session.entries.push(entry);
+          
+          if (session.value > largestSession) {
+            largestSession = session.value;
+            const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+            const source = (largest.sources || []).find(item => item.node);
+            
+            this._recordVital('cls', largestSession, {
+              element: source ? describeElement(source.node) : null,
+              time: largest.startTime
+            });
+          }
+        });
+      });
+      
+      // INP is roughly the 98th percentile of the slowest event per interaction
+      const interactions = new Map();
+      const recordInteractions = entries => {
+        entries.forEach(entry => {
+          if (!entry.interactionId) return;
+          
+          const previous = interactions.get(entry.interactionId);
+          if (!previous || entry.duration > previous.duration) {
+            interactions.set(entry.interactionId, entry);
+          }
+        });
+        
+        if (!interactions.size) return;
+        
+        const slowest = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+        const entry = slowest[Math.min(Math.floor(interactions.size / 50), slowest.length - 1)];
+        this._recordVital('inp', entry.duration, {
+          element: describeElement(entry.target),
+          eventType: entry.name,
+          inputDelay: entry.processingStart - entry.startTime,
+          processingTime: entry.processingEnd - entry.processingStart
+        });
+      };
+      this._observePerformance('event', recordInteractions, { durationThreshold: 40 });
+      this._observePerformance('first-input', recordInteractions);
+    },
+  
+    /**
+     * Observe a performance entry type, including buffered entries
+     * @param {string} type - Entry type
+     * @param {Function} callback - Called with each batch of entries
+     * @param {Object} [options={}] - Extra observe options
+     * @private
+     */
+    _observePerformance(type, callback, options = {}) {
+      const supported = PerformanceObserver.supportedEntryTypes || [];
+      if (!supported.includes(type)) return;
+      
+      try {
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        this._addCleanup('webVitals', () => observer.disconnect());
+      } catch (e) {
+        this._log(`Could not observe ${type} entries`);
+      }
+    },
+  
+    /**
+     * Rate a Core Web Vital and record it
+     * @param {string} name - Metric name
+     * @param {number} value - Metric value
+     * @param {Object} attribution - What caused the value
+     * @private
+     */
+    _recordVital(name, value, attribution) {
+      const [good, poor] = VITAL_THRESHOLDS[name];
+      const metric = {
+        name,
+        value,
+        rating: value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor',
+        attribution
+      };
+      
+      this._recordMetric(metric);
+    }
+  }
+};
@@ -1,3 +1,122 @@
+import { Quacktize as QuacktizeCore } from './core';
+
+/**
+ * Pattern deciding whether a URL may be prefetched
+ */
+export type PrefetchPattern = string | RegExp | ((url: URL, link: Element | null) => boolean);
+
+/**
+ * Space left above a scroll target
+ */
+export type ScrollOffset = number | string | ((target: Element) => number);
+
+/**
+ * Easing name or function mapping progress from 0 to 1
+ */
+export type ScrollEasing =
+  | 'linear'
+  | 'easeInQuad'
+  | 'easeOutQuad'
+  | 'easeInOutQuad'
+  | 'easeOutCubic'
+  | 'easeInOutCubic'
+  | ((progress: number) => number);
+
+/**
+ * Options for scrollTo(), overriding the scroll options in the config
+ */
+export interface ScrollToOptions {
+    offset?: ScrollOffset;
+    duration?: number | null;
+    easing?: ScrollEasing;
+    focus?: boolean;
+    history?: 'push' | 'replace' | false;
+    /** Fragment to record, defaults to the target's id */
+    hash?: string;
+  }
+  
+/**
+ * A viewport size for critical CSS generation
+ */
+export interface CriticalCSSViewport {
+    width: number;
+    height: number;
+  }
+  
+/**
+ * Metric overrides for a local fallback font
+ */
+export interface FontFallback {
+    /** Local font the fallback face uses, defaults to Arial */
+    fallback?: string;
+    sizeAdjust?: string;
+    ascentOverride?: string;
+    descentOverride?: string;
+    lineGapOverride?: string;
+  }
+  
+/**
+ * An origin to preconnect to with a given credentials mode
+ */
+export interface PreconnectOrigin {
+    origin: string;
+    /** Credentials mode of the connection, null for no-cors requests such as images */
+    crossOrigin?: 'anonymous' | 'use-credentials' | null;
+  }
+  
+/**
+ * Device and network capability tier
+ */
+export type CapabilityTier = 'low' | 'medium' | 'high';
+  
+/**
+ * Device and network capabilities of a page view, null where the browser does not report them
+ */
+export interface QuacktizeProfile {
+    /** Tier the capabilities rate as */
+    tier: CapabilityTier;
+    /** Tier of the connection alone */
+    networkTier: CapabilityTier;
+    /** Tier of the device hardware alone */
+    deviceTier: CapabilityTier;
+    /** Approximate device memory in GB */
+    deviceMemory: number | null;
+    /** Number of logical processors */
+    hardwareConcurrency: number | null;
+    /** Effective connection type, such as `4g` */
+    effectiveType: 'slow-2g' | '2g' | '3g' | '4g' | null;
+    /** Estimated round-trip time in milliseconds */
+    rtt: number | null;
+    /** Estimated bandwidth in Mbit/s */
+    downlink: number | null;
+    /** Whether the user asked to save data */
+    saveData: boolean;
+    /** Whether the user prefers reduced motion */
+    reducedMotion: boolean;
+  }
+  
+/**
+ * Performance budgets, each checked once it is measured
+ */
+export interface QuacktizeBudgets {
+    /** Largest Contentful Paint in milliseconds */
+    lcp?: number;
+    /** Cumulative Layout Shift score */
+    cls?: number;
+    /** Interaction to Next Paint in milliseconds */
+    inp?: number;
+    /** First Contentful Paint in milliseconds */
+    fcp?: number;
+    /** Time to First Byte in milliseconds */
+    ttfb?: number;
+    /** Bytes transferred for images */
+    imageBytes?: number;
+    /** Number of prefetches */
+    prefetches?: number;
+    /** Size of the critical CSS in bytes */
+    criticalCSS?: number;
+  }
+  
 /**
  * Configuration options for Quacktize
  */
@@ -26,18 +145,165 @@ export interface QuacktizeOptions {
      */
     prefetchDistance?: number;
     
+    /**
+     * Time in milliseconds a link must stay near the viewport before it is queued for prefetching
+     * @default 500
+     */
+    prefetchDwellTime?: number;
+    
+    /**
+     * Time in milliseconds a link must be hovered before it is queued for prefetching
+     * @default 65
+     */
+    prefetchHoverDelay?: number;
+    
+    /**
+     * Maximum number of prefetches in flight at once
+     * @default 2
+     */
+    prefetchConcurrency?: number;
+    
+    /**
+     * Stop prefetching once this many bytes were prefetched, 0 for no limit
+     * @default 5242880
+     */
+    prefetchMaxBytes?: number;
+    
+    /**
+     * Only prefetch URLs matching one of these patterns. Globs match the path and
+     * query (or the full URL when they start with a scheme or `//`), regular
+     * expressions match the full URL, functions receive the resolved URL and link.
+     * @default []
+     */
+    prefetchInclude?: PrefetchPattern[];
+    
+    /**
+     * Never prefetch URLs matching one of these patterns
+     * @default [/\/(log|sign)-?out\b/i]
+     */
+    prefetchExclude?: PrefetchPattern[];
+    
+    /**
+     * Allow prefetching cross-origin links: `true` for any origin, or a list of origins.
+     * Links with a `data-prefetch` attribute are always allowed.
+     * @default false
+     */
+    prefetchCrossOrigin?: boolean | string[];
+    
+    /**
+     * Query parameters dropped when normalizing URLs, so variants are prefetched once
+     * @default [/^utm_/, 'fbclid', 'gclid', 'msclkid']
+     */
+    prefetchIgnoreParams?: Array<string | RegExp>;
+    
+    /**
+     * Use the Speculation Rules API instead of `<link rel="prefetch">` where supported
+     * @default false
+     */
+    speculationRules?: boolean;
+    
+    /**
+     * Speculation action for emitted rules
+     * @default 'prefetch'
+     */
+    speculationAction?: 'prefetch' | 'prerender';
+    
+    /**
+     * Eagerness of document rules built from `speculationWhere`
+     * @default 'moderate'
+     */
+    speculationEagerness?: 'immediate' | 'eager' | 'moderate' | 'conservative';
+    
+    /**
+     * Document rule condition: a CSS selector, or a `where` object as defined by the Speculation Rules API
+     * @default null
+     */
+    speculationWhere?: string | Record<string, unknown> | null;
+    
     /**
      * Enable smooth scrolling for anchor links
      * @default true
      */
     smoothScroll?: boolean;
     
+    /**
+     * Space left above scroll targets: pixels, the selector of a fixed header, or a function of the target
+     * @default 0
+     */
+    scrollOffset?: ScrollOffset;
+    
+    /**
+     * Duration of animated scrolling in ms, null for the browser's native smooth scrolling
+     * @default null
+     */
+    scrollDuration?: number | null;
+    
+    /**
+     * Easing of animated scrolling
+     * @default 'easeInOutCubic'
+     */
+    scrollEasing?: ScrollEasing;
+    
+    /**
+     * Move keyboard focus to the scroll target
+     * @default true
+     */
+    scrollFocus?: boolean;
+    
+    /**
+     * How scrolling to an anchor updates the history
+     * @default 'push'
+     */
+    scrollHistory?: 'push' | 'replace' | false;
+    
     /**
      * Enable font loading optimizations
      * @default true
      */
     fontOptimization?: boolean;
     
+    /**
+     * Default font-display for @font-face rules
+     * @default 'swap'
+     */
+    fontDisplay?: 'auto' | 'block' | 'swap' | 'fallback' | 'optional';
+    
+    /**
+     * font-display per font family, overriding `fontDisplay`
+     * @default {}
+     */
+    fontDisplayFamilies?: Record<string, 'auto' | 'block' | 'swap' | 'fallback' | 'optional'>;
+    
+    /**
+     * Maximum number of font faces preloaded for above-the-fold text
+     * @default 2
+     */
+    fontPreloadLimit?: number;
+    
+    /**
+     * Load fonts in two stages with the CSS Font Loading API, switching classes on `<html>`
+     * @default false
+     */
+    fontStages?: boolean;
+    
+    /**
+     * Class added to `<html>` once the fonts used above the fold have loaded
+     * @default 'fonts-stage-1'
+     */
+    fontStageClass?: string;
+    
+    /**
+     * Class added to `<html>` once every font has loaded
+     * @default 'fonts-loaded'
+     */
+    fontLoadedClass?: string;
+    
+    /**
+     * Metric-adjusted fallback faces per family, declared as `"<family> Fallback"`
+     * @default {}
+     */
+    fontFallbacks?: Record<string, FontFallback>;
+    
     /**
      * Add resource hints for external domains
      * @default true
@@ -45,11 +311,203 @@ export interface QuacktizeOptions {
     resourceHints?: boolean;
     
     /**
-     * Defer non-critical JavaScript
+     * Origins to always preconnect to, before the scored ones
+     * @default []
+     */
+    preconnect?: Array<string | PreconnectOrigin>;
+    
+    /**
+     * Origins to always add dns-prefetch hints for
+     * @default []
+     */
+    dnsPrefetch?: string[];
+    
+    /**
+     * Maximum preconnect hints on the page, including existing ones
+     * @default 4
+     */
+    preconnectLimit?: number;
+    
+    /**
+     * Maximum dns-prefetch hints added
+     * @default 8
+     */
+    dnsPrefetchLimit?: number;
+    
+    /**
+     * Load `<script type="text/quacktize">` placeholders with the script loader
      * @default true
      */
     deferJS?: boolean;
     
+    /**
+     * Strategy for placeholders without `data-strategy`
+     * @default 'idle'
+     */
+    scriptStrategy?: ScriptStrategy;
+    
+    /**
+     * Distance in pixels from the viewport at which `visible` scripts load
+     * @default 200
+     */
+    scriptVisibleMargin?: number;
+    
+    /**
+     * Load the likely LCP image eagerly with `fetchpriority="high"` and lower the priority of resources below the fold
+     * @default true
+     */
+    priorityHints?: boolean;
+    
+    /**
+     * Add a `<link rel="preload">` for the likely LCP image
+     * @default true
+     */
+    lcpPreload?: boolean;
+    
+    /**
+     * Replace `[data-facade]` embeds with lightweight previews
+     * @default true
+     */
+    facades?: boolean;
+    
+    /**
+     * Class of facade containers, also the prefix of their inner classes
+     * @default 'quacktize-facade'
+     */
+    facadeClass?: string;
+    
+    /**
+     * Watch the DOM for added and removed images and links
+     * @default true
+     */
+    observeMutations?: boolean;
+    
+    /**
+     * Time in milliseconds chunked startup work runs before yielding to the main thread
+     * @default 10
+     */
+    yieldInterval?: number;
+    
+    /**
+     * Count Long Animation Frames, or long tasks where they are not reported
+     * @default true
+     */
+    longTasks?: boolean;
+    
+    /**
+     * Collect Core Web Vitals (LCP, CLS, INP, FCP, TTFB)
+     * @default true
+     */
+    webVitals?: boolean;
+    
+    /**
+     * Number of times a failed lazy load is retried
+     * @default 2
+     */
+    lazyLoadRetries?: number;
+    
+    /**
+     * Delay in milliseconds before the first retry, doubled for each further retry
+     * @default 1000
+     */
+    lazyLoadRetryDelay?: number;
+    
+    /**
+     * Class added to lazy elements while their resource loads
+     * @default 'quacktize-loading'
+     */
+    lazyLoadingClass?: string;
+    
+    /**
+     * Class added to lazy elements once their resource has loaded
+     * @default 'quacktize-loaded'
+     */
+    lazyLoadedClass?: string;
+    
+    /**
+     * Class added to lazy elements whose resource failed to load
+     * @default 'quacktize-error'
+     */
+    lazyErrorClass?: string;
+    
+    /**
+     * Variant of lazy sources to prefer, such as `low` for `data-src-low` and `data-srcset-low`
+     * @default null
+     */
+    lazyLoadVariant?: string | null;
+    
+    /**
+     * Called when a lazy element has loaded
+     */
+    onLoad?: ((element: Element) => void) | null;
+    
+    /**
+     * Called when a lazy element failed to load after all retries
+     */
+    onError?: ((element: Element, error: Error) => void) | null;
+    
+    /**
+     * Show placeholders and reserve space for lazy elements until they load
+     * @default true
+     */
+    placeholders?: boolean;
+    
+    /**
+     * Class added to images showing a blurred placeholder
+     * @default 'quacktize-placeholder'
+     */
+    placeholderClass?: string;
+    
+    /**
+     * Blur radius in pixels applied to image placeholders
+     * @default 16
+     */
+    placeholderBlur?: number;
+    
+    /**
+     * Duration in milliseconds of the blur-up transition
+     * @default 400
+     */
+    placeholderTransition?: number;
+    
+    /**
+     * Size budget in bytes for generated critical CSS, 0 to disable the warning
+     * @default 14336
+     */
+    criticalCSSBudget?: number;
+    
+    /**
+     * Called with critical CSS warnings such as an exceeded budget. When
+     * null, they are logged in debug mode.
+     * @default null
+     */
+    onCriticalCSSWarning?: ((message: string) => void) | null;
+    
+    /**
+     * Viewports to generate critical CSS for in applyCriticalCSS(). When null,
+     * only the current viewport is used.
+     * @default null
+     */
+    criticalCSSViewports?: CriticalCSSViewport[] | null;
+    
+    /**
+     * Cache generated critical CSS per page and viewport
+     * @default false
+     */
+    criticalCSSCache?: false | 'localStorage' | 'cache';
+    
+    /**
+     * Page part of the cache key, such as a template name. Defaults to the URL path.
+     * @default null
+     */
+    criticalCSSCacheKey?: string | ((location: Location) => string) | null;
+    
+    /**
+     * Time in milliseconds cached critical CSS stays valid
+     * @default 86400000
+     */
+    criticalCSSCacheTTL?: number;
+    
     /**
      * Enable performance metrics reporting
      * @default false
@@ -57,91 +515,818 @@ export interface QuacktizeOptions {
     analytics?: boolean;
     
     /**
-     * URL endpoint for analytics data
+     * URL endpoint for the beacon reporter
      */
-    analyticsEndpoint?: string;
+    analyticsEndpoint?: string | null;
     
     /**
-     * Enable debug logging
-     * @default false
+     * Share of page views that report analytics, from 0 to 1
+     * @default 1
      */
-    debug?: boolean;
-  }
-  
-  /**
-   * Performance metrics collected by Quacktize
-   */
-  export interface QuacktizeMetrics {
+    analyticsSampleRate?: number;
+    
     /**
-     * Total page load time in milliseconds
+     * Number of events that triggers a flush before the page is hidden
+     * @default 20
      */
-    loadTime: number;
+    analyticsBatchSize?: number;
     
     /**
-     * Number of resources optimized through prefetching
+     * Extra request headers for the beacon reporter. Setting any makes it use
+     * `fetch` with `keepalive` instead of `sendBeacon`.
+     * @default {}
      */
-    resourcesSaved: number;
+    analyticsHeaders?: Record<string, string>;
     
     /**
-     * Number of images optimized through lazy loading
+     * Custom dimensions sent with every payload, such as page type or release
+     * @default {}
      */
-    imagesOptimized: number;
-  }
-  
-  /**
-   * Main Quacktize class for website performance optimization
-   */
-  export class Quacktize {
+    analyticsDimensions?: Record<string, string | number | boolean>;
+    
     /**
-     * Create a new Quacktize instance
-     * @param options - Configuration options
+     * Where reports go: built-in reporter names, callbacks or reporter objects
+     * @default ['beacon']
      */
-    constructor(options?: QuacktizeOptions);
+    reporters?: Array<'beacon' | 'console' | 'ga4' | ReporterFunction | Reporter>;
     
     /**
-     * Initialize Quacktize with the provided options
-     * @param options - Additional configuration options
-     * @returns The Quacktize instance for chaining
+     * Rate the device and network into a tier and apply its overrides from `adaptiveTiers`
+     * @default true
      */
-    init(options?: QuacktizeOptions): Quacktize;
+    adaptive?: boolean;
     
     /**
-     * Manually prefetch a URL
-     * @param url - URL to prefetch
-     * @returns The Quacktize instance for chaining
+     * Tier to use instead of the measured one
+     * @default null
      */
-    prefetch(url: string): Quacktize;
+    adaptiveTier?: CapabilityTier | null;
     
     /**
-     * Manually load an image
-     * @param selector - CSS selector for the image
-     * @returns The Quacktize instance for chaining
+     * Config overrides per tier. The default turns prefetching and smooth scrolling off on `low`,
+     * where images use their `low` variant and scripts wait for interaction.
      */
-    loadImage(selector: string): Quacktize;
+    adaptiveTiers?: Partial<Record<CapabilityTier, QuacktizeOptions>>;
     
     /**
-     * Generate critical CSS for above-the-fold content
-     * @returns Critical CSS string
+     * Config overrides applied on top of the tier's when the user prefers reduced motion
+     * @default { placeholderTransition: 0 }
      */
-    generateCriticalCSS(): string;
+    adaptiveReducedMotion?: QuacktizeOptions;
     
     /**
-     * Apply critical CSS to the page
+     * Register the Quacktize service worker to keep prefetched pages and lazy images in Cache Storage
+     * @default false
      */
-    applyCriticalCSS(): void;
+    serviceWorker?: boolean;
     
     /**
-     * Get current performance metrics
-     * @returns Performance metrics object
+     * URL of the service worker script, copied from `quacktize/sw` to your site
+     * @default '/quacktize-sw.js'
      */
-    getMetrics(): QuacktizeMetrics;
+    serviceWorkerUrl?: string;
     
     /**
-     * Update configuration options
-     * @param options - New configuration options
-     * @returns The Quacktize instance for chaining
+     * Scope the service worker controls
+     * @default '/'
      */
-    updateConfig(options: QuacktizeOptions): Quacktize;
-  }
+    serviceWorkerScope?: string;
+    
+    /**
+     * Time in milliseconds a cached response is served before the network is needed again
+     * @default 604800000
+     */
+    serviceWorkerMaxAge?: number;
+    
+    /**
+     * Responses kept per cache, the oldest are removed first
+     * @default 50
+     */
+    serviceWorkerMaxEntries?: number;
+    
+    /**
+     * Page cached on install and served when a navigation fails offline
+     * @default null
+     */
+    serviceWorkerOfflinePage?: string | null;
+    
+    /**
+     * Budgets that warn and fire `quacktize:budget` when exceeded
+     * @default null
+     */
+    budgets?: QuacktizeBudgets | null;
+    
+    /**
+     * Show a panel with lazy elements, prefetches, injected hints, budgets and metrics
+     * @default false
+     */
+    debugOverlay?: boolean;
+    
+    /**
+     * Corner of the page the debug overlay sits in
+     * @default 'bottom-right'
+     */
+    debugOverlayPosition?: 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left';
+    
+    /**
+     * Time in milliseconds between debug overlay updates
+     * @default 1000
+     */
+    debugOverlayInterval?: number;
+    
+    /**
+     * Plugins for this instance only, added after the ones registered with
+     * `Quacktize.use()`. A plugin replaces a registered one with the same name.
+     * @default []
+     */
+    plugins?: QuacktizePlugin[];
+    
+    /**
+     * Enable debug logging
+     * @default false
+     */
+    debug?: boolean;
+  }
+  
+  /**
+   * Name of a Core Web Vital
+   */
+  export type WebVitalName = 'lcp' | 'cls' | 'inp' | 'fcp' | 'ttfb';
+  
+  /**
+   * A measured Core Web Vital
+   */
+  export interface WebVitalMetric {
+    /**
+     * Metric name
+     */
+    name: WebVitalName;
+    
+    /**
+     * Value in milliseconds, or the unitless layout shift score for CLS
+     */
+    value: number;
+    
+    /**
+     * Rating against the Core Web Vitals thresholds
+     */
+    rating: 'good' | 'needs-improvement' | 'poor';
+    
+    /**
+     * What caused the value. LCP reports `element`, `url` and `size`, CLS
+     * `element` and `time`, INP `element`, `eventType`, `inputDelay` and
+     * `processingTime`, TTFB `dns`, `connect` and `request`.
+     */
+    attribution: Record<string, string | number | null>;
+  }
+  
+  /**
+   * A single event in an analytics payload
+   */
+  export interface ReportEvent {
+    /**
+     * Kind of event
+     */
+    type: 'vital' | 'metrics' | 'custom';
+    
+    /**
+     * Event name
+     */
+    name: string;
+    
+    /**
+     * Event value
+     */
+    value: unknown;
+    
+    /**
+     * Milliseconds since navigation start when the event was queued
+     */
+    time: number;
+    
+    /**
+     * Rating, for vitals
+     */
+    rating?: WebVitalMetric['rating'];
+    
+    /**
+     * Attribution, for vitals
+     */
+    attribution?: WebVitalMetric['attribution'];
+  }
+  
+  /**
+   * Batched analytics payload
+   */
+  export interface ReportPayload {
+    /**
+     * Payload schema version
+     */
+    schema: 1;
+    
+    /**
+     * Random identifier of this page view
+     */
+    session: string;
+    
+    /**
+     * Page URL
+     */
+    url: string;
+    
+    /**
+     * Unix time in milliseconds when the batch was sent
+     */
+    timestamp: number;
+    
+    /**
+     * Custom dimensions from `analyticsDimensions`
+     */
+    dimensions: Record<string, string | number | boolean>;
+    
+    /**
+     * Batched events
+     */
+    events: ReportEvent[];
+  }
+  
+  /**
+   * Transport details passed to reporters
+   */
+  export interface ReporterContext {
+    endpoint: string | null;
+    headers: Record<string, string>;
+  }
+  
+  /**
+   * Callback receiving analytics payloads
+   */
+  export type ReporterFunction = (payload: ReportPayload, context: ReporterContext) => void;
+  
+  /**
+   * Object receiving analytics payloads
+   */
+  export interface Reporter {
+    send: ReporterFunction;
+  }
+  
+  /**
+   * Performance metrics collected by Quacktize
+   */
+  export interface QuacktizeMetrics {
+    /**
+     * Total page load time in milliseconds
+     */
+    loadTime: number;
+    
+    /**
+     * Number of resources optimized through prefetching
+     */
+    resourcesSaved: number;
+    
+    /**
+     * Number of images and other media optimized through lazy loading
+     */
+    imagesOptimized: number;
+    
+    /**
+     * Number of lazy images and other media that failed to load
+     */
+    imagesFailed: number;
+    
+    /**
+     * Bytes transferred by prefetches, where the browser reports them
+     */
+    prefetchedBytes: number;
+    
+    /**
+     * Navigations the service worker answered from its cache
+     */
+    pageCacheHits: number;
+    
+    /**
+     * Images the service worker answered from its cache
+     */
+    imageCacheHits: number;
+    
+    /**
+     * Failed navigations the service worker answered with the offline page
+     */
+    offlineFallbacks: number;
+    
+    /**
+     * Number of Long Animation Frames, or long tasks where they are not reported
+     */
+    longTasks: number;
+    
+    /**
+     * Total duration in milliseconds of the long frames or tasks
+     */
+    longTaskTime: number;
+    
+    /**
+     * Time in milliseconds the long frames or tasks blocked input
+     */
+    blockingTime: number;
+    
+    /**
+     * Core Web Vitals measured so far, null until available
+     */
+    vitals: Record<WebVitalName, WebVitalMetric | null>;
+  }
+  
+  /**
+   * Loader for a kind of lazily loaded element
+   */
+  export interface LazyLoader {
+    /**
+     * CSS selector for the elements this loader handles
+     */
+    selector: string;
+    
+    /**
+     * Swap in the real resource of an element
+     * @param element - Element entering the viewport
+     * @returns Whether anything was loaded
+     */
+    load(element: Element): boolean;
+    
+    /**
+     * Wait for the swapped-in resource to load. Defaults to the element's own
+     * load and error events.
+     * @param element - Element that was loaded
+     * @returns Promise settling when the resource has loaded or failed
+     */
+    wait?(element: Element): Promise<void>;
+  }
+  
+  /**
+   * Data describing a facade, passed to its callbacks
+   */
+  export interface FacadeData {
+    /** Facade name */
+    name: string;
+    /** Marked element */
+    el: Element;
+    /** Container rendering the preview */
+    container: Element;
+    /** Content id from `data-id` or the embed URL */
+    id: string | null;
+    /** Embed or script URL */
+    src: string | null;
+    /** Title from `data-title` or `title` */
+    title: string;
+    /** Thumbnail from `data-thumbnail` */
+    thumbnail: string | null;
+  }
+  
+  /**
+   * A facade for a kind of embed
+   */
+  export interface Facade {
+    /**
+     * Text of the preview button, followed by the title
+     */
+    label: string;
+    
+    /**
+     * Origins to preconnect to when the preview is hovered or focused
+     */
+    origins?: string[];
+    
+    /**
+     * Recognizes the provider from an embed URL, the first group capturing the content id
+     */
+    match?: RegExp;
+    
+    /**
+     * URL of the preview image
+     */
+    thumbnail?(data: FacadeData): string | null | Promise<string | null>;
+    
+    /**
+     * URL of the iframe loaded on click
+     */
+    embed?(data: FacadeData): string;
+    
+    /**
+     * Load the real widget on click, instead of an iframe
+     */
+    load?(data: FacadeData, optimizer: Quacktize): void | Promise<unknown>;
+  }
+  
+  /**
+   * When the script loader runs a placeholder
+   */
+  export type ScriptStrategy = 'idle' | 'interaction' | 'visible' | 'load';
+  
+  /**
+   * Options for loadScript()
+   */
+  export interface LoadScriptOptions {
+    /**
+     * Id other scripts can depend on
+     */
+    id?: string;
+    
+    /**
+     * Ids or URLs of scripts to load first
+     */
+    after?: string | string[];
+    
+    /**
+     * Script type, such as `module`
+     */
+    type?: string;
+    
+    /**
+     * Attributes to set on the script
+     */
+    attributes?: Record<string, string>;
+  }
+  
+  /**
+   * Detail of the `quacktize:scriptload` and `quacktize:scripterror` events
+   */
+  export interface QuacktizeScriptEventDetail {
+    /**
+     * Placeholder, or the script itself when loaded with loadScript()
+     */
+    element: Element;
+    
+    /**
+     * Script id
+     */
+    id: string | null;
+    
+    /**
+     * Script URL, null for inline placeholders
+     */
+    src: string | null;
+    
+    /**
+     * Load error, for `quacktize:scripterror`
+     */
+    error?: Error;
+  }
+  
+  /**
+   * Detail of the `quacktize:lazyload`, `quacktize:loaded` and `quacktize:error` events
+   */
+  export interface QuacktizeLazyLoadEventDetail {
+    /**
+     * Element being loaded
+     */
+    element: Element;
+    
+    /**
+     * Number of attempts made, for `quacktize:loaded` and `quacktize:error`
+     */
+    attempts?: number;
+    
+    /**
+     * Load error, for `quacktize:error`
+     */
+    error?: Error;
+    
+    /**
+     * Fallback URL applied, for `quacktize:error`
+     */
+    fallback?: string | null;
+  }
+  
+  /**
+   * A configured budget and its current value
+   */
+  export interface QuacktizeBudgetStatus {
+    /** Budget name */
+    name: keyof QuacktizeBudgets;
+    /** Budget limit */
+    limit: number;
+    /** Latest measured value, null until measured */
+    value: number | null;
+    /** Whether the value went over the limit */
+    exceeded: boolean;
+  }
+  
+  /**
+   * Detail of the `quacktize:budget` event, dispatched on the document
+   */
+  export interface QuacktizeBudgetEventDetail {
+    /**
+     * The document
+     */
+    element: Document;
+    
+    /**
+     * Budget that was exceeded
+     */
+    budget: keyof QuacktizeBudgets;
+    
+    /**
+     * Measured value
+     */
+    value: number;
+    
+    /**
+     * Budget limit
+     */
+    limit: number;
+  }
+  
+  /**
+   * Detail of the `quacktize:tierchange` event, dispatched on `<html>`
+   */
+  export interface QuacktizeTierChangeEventDetail {
+    /**
+     * The `<html>` element
+     */
+    element: HTMLElement;
+    
+    /**
+     * New tier
+     */
+    tier: CapabilityTier;
+    
+    /**
+     * Tier before the change
+     */
+    previous: CapabilityTier;
+    
+    /**
+     * Capabilities that caused the change
+     */
+    profile: QuacktizeProfile;
+  }
+  
+  /**
+   * Detail of the `quacktize:prefetch` event, dispatched on the document
+   */
+  export interface QuacktizePrefetchEventDetail {
+    /**
+     * The document
+     */
+    element: Document;
+    
+    /**
+     * URL that was prefetched or added to the speculation rules
+     */
+    url: string;
+  }
+  
+  /**
+   * Priority of a scheduled task
+   */
+  export type TaskPriority = 'user-blocking' | 'user-visible' | 'background';
+  
+  /**
+   * Options for a scheduled task
+   */
+  export interface QuacktizeTaskOptions {
+    /**
+     * Priority of the task
+     * @default 'background'
+     */
+    priority?: TaskPriority;
+    
+    /**
+     * Milliseconds to wait before queueing the task
+     * @default 0
+     */
+    delay?: number;
+    
+    /**
+     * Cancels the task if aborted before it runs
+     */
+    signal?: AbortSignal;
+  }
+  
+  /**
+   * Options for tearing down a Quacktize instance
+   */
+  export interface QuacktizeDestroyOptions {
+    /**
+     * Remove the hints, preloads and styles Quacktize injected into the document
+     * @default false
+     */
+    removeInjected?: boolean;
+  }
+  
+  /**
+   * Context passed to a plugin's hooks. Listeners, cleanups and injected
+   * elements are tied to the plugin and removed when it is torn down.
+   */
+  export interface QuacktizePluginContext {
+    /** The instance the plugin runs on */
+    optimizer: Quacktize;
+    /** Plugin name */
+    name: string;
+    /** Current configuration */
+    readonly config: QuacktizeOptions & Record<string, unknown>;
+    /** Metrics collected so far */
+    readonly metrics: QuacktizeMetrics & Record<string, unknown>;
+    /** Log in debug mode, prefixed with the plugin name */
+    log(...args: unknown[]): void;
+    /** Limit how often a function runs */
+    throttle<T extends (...args: any[]) => unknown>(func: T, limit: number): T;
+    /** Run a callback when the browser is idle */
+    whenIdle(callback: () => void): number;
+    /** Cancel a callback scheduled with whenIdle() */
+    cancelIdle(handle: number): void;
+    /** Run work in its own task */
+    schedule<T>(callback: () => T | PromiseLike<T>, options?: QuacktizeTaskOptions): Promise<T>;
+    /** Yield to the main thread, resolving to false when the plugin was torn down meanwhile */
+    yield(): Promise<boolean>;
+    /** Run a function over items in chunks, resolving to false when the plugin was torn down first */
+    forEachChunk<T>(items: ArrayLike<T>, fn: (item: T, index: number) => void): Promise<boolean>;
+    /** Add an event listener removed on teardown */
+    listen(target: EventTarget, type: string, handler: EventListenerOrEventListenerObject, options?: AddEventListenerOptions | boolean): void;
+    /** Run a function on teardown */
+    addCleanup(fn: () => void): void;
+    /** Insert an element into the document head */
+    inject(element: Element, before?: Node | null): void;
+    /** Add a preconnect or dns-prefetch hint unless the page already has one */
+    addResourceHint(rel: 'preconnect' | 'dns-prefetch', origin: string, crossOrigin?: 'anonymous' | 'use-credentials' | null): boolean;
+    /** Dispatch a bubbling `quacktize:<name>` event */
+    emit(target: EventTarget, name: string, detail?: Record<string, unknown>): void;
+    /** Store a metric and pass it to `onMetric()` subscribers and plugins */
+    recordMetric(metric: WebVitalMetric): void;
+    /** Document plus any roots passed to observe() */
+    getRoots(): Array<Document | ShadowRoot | Element>;
+    /** Find elements matching a selector in a root, including the root itself */
+    queryAll(root: Document | ShadowRoot | Element, selector: string): Element[];
+  }
+  
+  /**
+   * A feature module. Hooks run with `this` set to the instance.
+   */
+  export interface QuacktizePlugin {
+    /**
+     * Unique name. When the config has an option with this name, it switches
+     * the plugin on and off.
+     */
+    name: string;
+    
+    /**
+     * Default values for the plugin's options
+     */
+    defaults?: Record<string, unknown>;
+    
+    /**
+     * Initial values for the plugin's metrics
+     */
+    metrics?: Record<string, number>;
+    
+    /**
+     * Options that set the plugin up again when changed with updateConfig()
+     */
+    restartOn?: string[];
+    
+    /**
+     * Create the plugin's state, which is assigned to the instance
+     */
+    state?(this: Quacktize): Record<string, unknown>;
+    
+    /**
+     * Methods added to the instance
+     */
+    methods?: Record<string, (this: Quacktize, ...args: any[]) => unknown>;
+    
+    /**
+     * Set the plugin up when the instance is initialized or the plugin enabled
+     */
+    setup?(this: Quacktize, context: QuacktizePluginContext): void;
+    
+    /**
+     * Handle content added to or removed from the DOM, and roots passed to refresh()
+     */
+    onMutation?(this: Quacktize, context: QuacktizePluginContext, node: Element | Document | ShadowRoot, removed: boolean): void;
+    
+    /**
+     * Handle a Core Web Vital as it is measured
+     */
+    onMetric?(this: Quacktize, context: QuacktizePluginContext, metric: WebVitalMetric): void;
+    
+    /**
+     * Suspend work when the instance is paused
+     */
+    pause?(this: Quacktize, context: QuacktizePluginContext): void;
+    
+    /**
+     * Release anything the context does not clean up on its own
+     */
+    teardown?(this: Quacktize, context: QuacktizePluginContext, options: Required<QuacktizeDestroyOptions>): void;
+  }
+  
+  /**
+   * Quacktize with every built-in plugin registered, which adds their methods
+   */
+  export class Quacktize extends QuacktizeCore {
+    /**
+     * Manually prefetch a URL
+     * @param url - URL to prefetch
+     * @returns The Quacktize instance for chaining
+     */
+    prefetch(url: string): this;
+    
+    /**
+     * Smoothly scroll to an element or position, then move focus to the element and record it in the history
+     * @param target - Element, `#id`, CSS selector or vertical position
+     * @param options - Overrides for the scroll options in the config
+     * @returns The Quacktize instance for chaining
+     */
+    scrollTo(target: Element | string | number, options?: ScrollToOptions): this;
+    
+    /**
+     * Manually load an image or other lazy element
+     * @param selector - CSS selector for the element
+     * @returns The Quacktize instance for chaining
+     */
+    loadImage(selector: string): this;
+    
+    /**
+     * Load a script after the scripts it depends on. Each URL is only loaded once
+     * unless it failed, and passing the id of a script placeholder loads it now.
+     * @param src - Script URL or placeholder id
+     * @param options - Script options
+     * @returns Resolves with the script element once it has run
+     */
+    loadScript(src: string, options?: LoadScriptOptions): Promise<HTMLScriptElement>;
+    
+    /**
+     * Register a facade for another kind of embed
+     * @param name - Facade name used in `data-facade`, replaces an existing facade with the same name
+     * @param facade - Facade definition
+     * @returns The Quacktize instance for chaining
+     */
+    registerFacade(name: string, facade: Facade): this;
+    
+    /**
+     * Register a lazy loader for another kind of element
+     * @param name - Loader name, replaces an existing loader with the same name
+     * @param loader - Loader definition
+     * @returns The Quacktize instance for chaining
+     */
+    registerLazyLoader(name: string, loader: LazyLoader): this;
+    
+    /**
+     * Generate critical CSS for above-the-fold content
+     * @returns Critical CSS string
+     */
+    generateCriticalCSS(): string;
+    
+    /**
+     * Generate critical CSS for several viewports and merge the results
+     * @param viewports - Viewport sizes, defaults to `criticalCSSViewports`
+     * @returns Merged critical CSS
+     */
+    generateCriticalCSSForViewports(viewports?: CriticalCSSViewport[]): Promise<string>;
+    
+    /**
+     * Apply critical CSS to the page, from the cache when available. The
+     * style is added once the returned promise resolves.
+     * @returns The applied critical CSS
+     */
+    applyCriticalCSS(): Promise<string>;
+    
+    /**
+     * Clear cached critical CSS
+     */
+    clearCriticalCSSCache(): Promise<void>;
+    
+    /**
+     * Remove the pages and images the service worker cached
+     * @returns The Quacktize instance for chaining
+     */
+    clearServiceWorkerCache(): this;
+    
+    /**
+     * Get every configured budget with its current value
+     * @returns Budget statuses
+     */
+    getBudgets(): QuacktizeBudgetStatus[];
+    
+    /**
+     * Get the device and network capabilities and the tier they rate as
+     * @returns Capability profile
+     */
+    getProfile(): QuacktizeProfile;
+    
+    /**
+     * Report a custom event alongside the collected metrics
+     * @param name - Event name
+     * @param value - Event value
+     * @returns The Quacktize instance for chaining
+     */
+    track(name: string, value: unknown): this;
+    
+    /**
+     * Send batched events to every reporter now
+     * @returns The Quacktize instance for chaining
+     */
+    flush(): this;
+  }
+  
+  export * from './plugins';
   
   export default Quacktize;
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Cooperative scheduling
+ * Runs work in prioritized tasks and yields to the main thread, using the
+ * Prioritized Task Scheduling API where the browser has it.
+ */
+
+/**
+ * Get the reason a signal was aborted with
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {*} - Abort reason, an AbortError when the signal has none
+ * @private
+ */
+function getAbortReason(signal) {
+  return signal.reason !== undefined ? signal.reason : new DOMException('The task was aborted', 'AbortError');
+}
+
+/**
+ * Queue a task, using a message channel to avoid the clamping of nested timers
+ * @param {Function} callback - Task to run
+ * @returns {Function} - Cancels the task
+ * @private
+ */
+function queueTask(callback) {
+  if (typeof MessageChannel === 'undefined') {
+    const timer = setTimeout(callback, 0);
+    return () => clearTimeout(timer);
+  }
+
+  let cancelled = false;
+  const channel = new MessageChannel();
+  channel.port1.onmessage = () => {
+    channel.port1.close();
+    if (!cancelled) callback();
+  };
+  channel.port2.postMessage(null);
+  return () => {
+    cancelled = true;
+  };
+}
+
+/**
+ * Queue a task for when the browser is idle
+ * @param {Function} callback - Task to run
+ * @returns {Function} - Cancels the task
+ * @private
+ */
+function queueIdleTask(callback) {
+  if (!('requestIdleCallback' in window)) {
+    const timer = setTimeout(callback, 1);
+    return () => clearTimeout(timer);
+  }
+
+  const handle = window.requestIdleCallback(() => callback(), { timeout: 2000 });
+  return () => window.cancelIdleCallback(handle);
+}
+
+/**
+ * Run a callback in its own task. Uses `scheduler.postTask()` when
+ * available; otherwise background tasks wait for idle time and the other
+ * priorities run in the next task.
+ * @param {Function} callback - Work to run
+ * @param {Object} [options] - Task options
+ * @param {string} [options.priority='background'] - `user-blocking`, `user-visible` or `background`
+ * @param {number} [options.delay=0] - Milliseconds to wait before queueing the task
+ * @param {AbortSignal} [options.signal] - Cancels the task if aborted before it runs
+ * @returns {Promise} - Resolves with the callback's result
+ */
+export function postTask(callback, { priority = 'background', delay = 0, signal } = {}) {
+  const native = window.scheduler;
+  if (native && native.postTask) return native.postTask(callback, { priority, delay, signal });
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+
+    let cancel = () => {};
+    const onAbort = () => {
+      cancel();
+      reject(getAbortReason(signal));
+    };
+    const run = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      try {
+        resolve(callback());
+      } catch (e) {
+        reject(e);
+      }
+    };
+    const queue = () => {
+      cancel = priority === 'background' ? queueIdleTask(run) : queueTask(run);
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    if (delay > 0) {
+      const timer = setTimeout(queue, delay);
+      cancel = () => clearTimeout(timer);
+    } else {
+      queue();
+    }
+  });
+}
+
+/**
+ * Let the browser handle input and render before continuing. Uses
+ * `scheduler.yield()` when available, which resumes ahead of other queued
+ * tasks.
+ * @returns {Promise<void>} - Resolves when the work can continue
+ */
+export function yieldToMain() {
+  const native = window.scheduler;
+  if (native && native.yield) return native.yield();
+
+  return new Promise(resolve => queueTask(resolve));
+}
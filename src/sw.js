@@ -0,0 +1,238 @@
+/**
+ * Quacktize service worker
+ * Keeps prefetched pages and lazy images in Cache Storage, serves them
+ * stale-while-revalidate and falls back to an offline page.
+ *
+ * Options come from the query string the page registers it with, so they
+ * are available whenever the browser starts the worker:
+ * - `maxAge`: time in ms a cached response is served without the network
+ * - `maxEntries`: responses kept per cache, oldest are removed first
+ * - `offline`: URL of the page served when a navigation fails
+ */
+
+/**
+ * Version of the cache layout, bumped when stored responses change shape
+ * @private
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Cache Storage caches owned by the worker
+ * @private
+ */
+const CACHES = {
+  page: `quacktize-pages-v${CACHE_VERSION}`,
+  image: `quacktize-images-v${CACHE_VERSION}`,
+  offline: `quacktize-offline-v${CACHE_VERSION}`
+};
+
+/**
+ * Header recording when a response was stored
+ * @private
+ */
+const CACHED_AT_HEADER = 'x-quacktize-cached-at';
+
+/**
+ * Most pages whose navigation hits are kept until the page says hello
+ * @private
+ */
+const MAX_PENDING_HITS = 20;
+
+/**
+ * Read the worker options from its URL
+ * @returns {Object} - Worker options
+ * @private
+ */
+function readOptions() {
+  const params = new URL(self.location.href).searchParams;
+  const number = (name, fallback) => {
+    const value = Number(params.get(name));
+    return params.has(name) && value >= 0 ? value : fallback;
+  };
+  
+  return {
+    maxAge: number('maxAge', 7 * 24 * 60 * 60 * 1000),
+    maxEntries: number('maxEntries', 50),
+    offlinePage: params.get('offline') ? new URL(params.get('offline'), self.location.origin).href : null
+  };
+}
+
+const options = readOptions();
+
+/**
+ * Hits per client id, for navigations answered before their page existed
+ * @private
+ */
+const pendingHits = new Map();
+
+/**
+ * Get which cache a request belongs in
+ * @param {Request} request - Request being handled
+ * @returns {string|null} - `page`, `image` or null when the worker leaves it alone
+ * @private
+ */
+function getKind(request) {
+  if (request.method !== 'GET') return null;
+  if (request.mode === 'navigate') {
+    return new URL(request.url).origin === self.location.origin ? 'page' : null;
+  }
+  return request.destination === 'image' ? 'image' : null;
+}
+
+/**
+ * Store a response with the time it was stored, then trim the cache
+ * @param {string} kind - Cache kind
+ * @param {Request|string} request - Request the response answers
+ * @param {Response} response - Response to store
+ * @returns {Promise} - Settles once stored
+ * @private
+ */
+async function store(kind, request, response) {
+  // Opaque and error responses cannot be checked, so they are not kept
+  if (!response.ok) return;
+  
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  
+  const cache = await caches.open(CACHES[kind]);
+  await cache.put(request, new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  }));
+  
+  // Keys come back in insertion order and put() moves an entry to the end
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - options.maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+/**
+ * Fetch a response and store it
+ * @param {string} kind - Cache kind
+ * @param {Request|string} request - Request to fetch
+ * @returns {Promise<Response>} - Network response
+ * @private
+ */
+async function fetchAndStore(kind, request) {
+  const response = await fetch(request);
+  await store(kind, request, response.clone());
+  return response;
+}
+
+/**
+ * Check whether a cached response is still within maxAge
+ * @param {Response} response - Cached response
+ * @returns {boolean} - Whether it can be served before revalidating
+ * @private
+ */
+function isFresh(response) {
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return Date.now() - cachedAt <= options.maxAge;
+}
+
+/**
+ * Tell a page about a response served from the cache
+ * @param {FetchEvent} event - Fetch event that was answered
+ * @param {Object} hit - Hit to report
+ * @returns {Promise} - Settles once reported or queued
+ * @private
+ */
+async function reportHit(event, hit) {
+  const client = event.clientId ? await self.clients.get(event.clientId) : null;
+  if (client) {
+    client.postMessage({ type: 'quacktize:cachehit', hits: [hit] });
+    return;
+  }
+  
+  // Navigations create their page only after the response arrives
+  const id = event.resultingClientId;
+  if (!id) return;
+  
+  pendingHits.set(id, [...(pendingHits.get(id) || []), hit]);
+  if (pendingHits.size > MAX_PENDING_HITS) pendingHits.delete(pendingHits.keys().next().value);
+}
+
+/**
+ * Answer from the cache while revalidating, or from the network when the
+ * cached copy expired or is missing, falling back to the offline page
+ * @param {FetchEvent} event - Fetch event to answer
+ * @param {string} kind - Cache kind
+ * @returns {Promise<Response>} - Response
+ * @private
+ */
+async function respond(event, kind) {
+  const { request } = event;
+  const cached = await caches.match(request, { cacheName: CACHES[kind] });
+  
+  if (cached && isFresh(cached)) {
+    event.waitUntil(fetchAndStore(kind, request).catch(() => {}));
+    event.waitUntil(reportHit(event, { kind, url: request.url }));
+    return cached;
+  }
+  
+  try {
+    // Only refresh what the page asked to keep
+    return cached ? await fetchAndStore(kind, request) : await fetch(request);
+  } catch (error) {
+    if (cached) {
+      event.waitUntil(reportHit(event, { kind, url: request.url, stale: true }));
+      return cached;
+    }
+    
+    const offline = kind === 'page' && options.offlinePage
+      ? await caches.match(options.offlinePage, { cacheName: CACHES.offline })
+      : null;
+    if (!offline) throw error;
+    
+    event.waitUntil(reportHit(event, { kind: 'offline', url: request.url }));
+    return offline;
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    if (options.offlinePage) {
+      const cache = await caches.open(CACHES.offline);
+      await cache.add(options.offlinePage);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Remove caches of earlier layouts, leaving other Quacktize caches alone
+    const current = Object.values(CACHES);
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => /^quacktize-(pages|images|offline)-v\d+$/.test(name) && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const kind = getKind(event.request);
+  if (kind) event.respondWith(respond(event, kind));
+});
+
+self.addEventListener('message', (event) => {
+  const { data, source } = event;
+  if (!data || typeof data.type !== 'string') return;
+  
+  if (data.type === 'quacktize:hello' && source) {
+    const hits = pendingHits.get(source.id);
+    pendingHits.delete(source.id);
+    if (hits) source.postMessage({ type: 'quacktize:cachehit', hits });
+  } else if (data.type === 'quacktize:cache' && CACHES[data.kind] && data.kind !== 'offline') {
+    event.waitUntil((async () => {
+      const cache = await caches.open(CACHES[data.kind]);
+      await Promise.all((data.urls || []).map(async (url) => {
+        if (await cache.match(url)) return;
+        await fetchAndStore(data.kind, new Request(url, { credentials: 'same-origin' })).catch(() => {});
+      }));
+    })());
+  } else if (data.type === 'quacktize:clear') {
+    event.waitUntil(Promise.all([CACHES.page, CACHES.image].map(name => caches.delete(name))));
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * DOM helpers shared by the core and plugins
+ */
+
+/**
+ * Get the origin of an http(s) URL
+ * @param {string} url - Absolute or relative URL
+ * @returns {string|null} - Origin, or null for other schemes and invalid URLs
+ */
+export function toOrigin(url) {
+  try {
+    const { origin, protocol } = new URL(url, document.baseURI);
+    return /^https?:$/.test(protocol) ? origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the credentials mode an element fetches its resource with
+ * @param {Element} el - Element with a `crossorigin` attribute
+ * @param {boolean} [cors=false] - Whether the resource is always fetched in CORS mode
+ * @returns {string|null} - `anonymous`, `use-credentials` or null for no-cors requests
+ */
+export function getCrossOriginMode(el, cors = false) {
+  const value = el.getAttribute('crossorigin');
+  if (value === null) return cors ? 'anonymous' : null;
+  return value.toLowerCase() === 'use-credentials' ? 'use-credentials' : 'anonymous';
+}
+
+/**
+ * Find the link an event happened in, including events from inside open
+ * shadow roots
+ * @param {Event} e - DOM event
+ * @returns {HTMLAnchorElement|null} - Closest link with an href
+ */
+export function getEventLink(e) {
+  const target = e.composedPath ? e.composedPath()[0] : e.target;
+  return target instanceof Element ? target.closest('a[href]') : null;
+}
@@ -0,0 +1,72 @@
+import { Quacktize } from '../src/core';
+import { adaptivePlugin } from '../src/plugins/adaptive';
+import { prefetchPlugin } from '../src/plugins/prefetch';
+
+/**
+ * Report a network connection to the page
+ * @param {Object} info - Connection signals
+ * @returns {EventTarget} - The connection
+ */
+function setConnection(info) {
+  const connection = Object.assign(new EventTarget(), info);
+  Object.defineProperty(navigator, 'connection', { value: connection, configurable: true });
+  return connection;
+}
+
+describe('adaptive plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+    Object.defineProperty(navigator, 'hardwareConcurrency', { value: 1, configurable: true });
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    delete navigator.connection;
+    delete navigator.hardwareConcurrency;
+  });
+
+  test('keeps prefetching on for a weak device on a fast network', () => {
+    setConnection({ effectiveType: '4g', rtt: 50 });
+    optimizer = new Quacktize({ plugins: [adaptivePlugin, prefetchPlugin] }).init();
+
+    const profile = optimizer.getProfile();
+    expect(profile.deviceTier).toBe('low');
+    expect(profile.networkTier).toBe('high');
+    expect(profile.tier).toBe('medium');
+    expect(optimizer.config.prefetch).toBe(true);
+  });
+
+  test('rates a slow network as low', () => {
+    setConnection({ effectiveType: '2g', rtt: 1500 });
+    optimizer = new Quacktize({ plugins: [adaptivePlugin, prefetchPlugin] }).init();
+
+    expect(optimizer.getProfile().tier).toBe('low');
+    expect(optimizer.config.prefetch).toBe(false);
+  });
+
+  test('leaves options the user set alone', () => {
+    setConnection({ effectiveType: '2g', rtt: 1500 });
+    optimizer = new Quacktize({ plugins: [adaptivePlugin, prefetchPlugin], prefetch: true }).init();
+
+    expect(optimizer.getProfile().tier).toBe('low');
+    expect(optimizer.config.prefetch).toBe(true);
+  });
+
+  test('keeps updated options when the tier changes', () => {
+    const connection = setConnection({ effectiveType: '2g', rtt: 1500 });
+    optimizer = new Quacktize({ plugins: [adaptivePlugin, prefetchPlugin] }).init();
+    optimizer.updateConfig({ lazyLoadThreshold: 300 });
+
+    Object.assign(connection, { effectiveType: '4g', rtt: 50 });
+    connection.dispatchEvent(new Event('change'));
+    expect(optimizer.getProfile().tier).toBe('medium');
+    expect(optimizer.config.prefetch).toBe(true);
+    expect(optimizer.config.lazyLoadThreshold).toBe(300);
+
+    optimizer.destroy();
+    expect(optimizer.config.lazyLoadThreshold).toBe(300);
+  });
+});
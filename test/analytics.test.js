@@ -0,0 +1,49 @@
+import { Quacktize } from '../src/core';
+import { analyticsPlugin } from '../src/plugins/analytics';
+
+describe('analytics plugin', () => {
+  let optimizer;
+  let payloads;
+
+  const reporter = payload => payloads.push(payload);
+
+  beforeEach(() => {
+    payloads = [];
+  });
+
+  afterEach(() => {
+    optimizer.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('reports page metrics when started after load', () => {
+    expect(document.readyState).toBe('complete');
+    optimizer = new Quacktize({ plugins: [analyticsPlugin], analytics: true, reporters: [reporter] }).init();
+    optimizer.flush();
+
+    expect(payloads).toHaveLength(1);
+    expect(payloads[0].events.map(event => event.name)).toEqual(['metrics']);
+  });
+
+  test('batches custom events until flushed', () => {
+    optimizer = new Quacktize({ plugins: [analyticsPlugin], analytics: true, analyticsBatchSize: 3, reporters: [reporter] }).init();
+    optimizer.track('signup', 1);
+    expect(payloads).toHaveLength(0);
+
+    optimizer.track('checkout', 2);
+    expect(payloads).toHaveLength(1);
+    expect(payloads[0].events.map(event => event.name)).toEqual(['metrics', 'signup', 'checkout']);
+  });
+
+  test('logs a missing beacon endpoint once instead of on every flush', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    optimizer = new Quacktize({ plugins: [analyticsPlugin], analytics: true, debug: true }).init();
+
+    optimizer.flush().track('signup', 1).flush();
+
+    const missing = log.mock.calls.filter(call => call[1] === 'The beacon reporter needs an analyticsEndpoint');
+    expect(missing).toHaveLength(1);
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+import { decodeBlurHash, isBlurHash } from '../src/blurhash';
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * Encode a number in base 83
+ * @param {number} value - Value to encode
+ * @param {number} length - Number of digits
+ * @returns {string} - Encoded value
+ */
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += DIGITS[Math.floor(value / Math.pow(83, length - i)) % 83];
+  }
+  return result;
+}
+
+describe('isBlurHash', () => {
+  test('accepts hashes whose length matches their components', () => {
+    expect(isBlurHash('LEHV6nWB2yk8pyo0adR*.7kCMdnj')).toBe(true);
+    expect(isBlurHash('LEHV6nWB2yk8pyo0adR*.7kCMdn')).toBe(false);
+    expect(isBlurHash('')).toBe(false);
+  });
+
+  test('rejects characters outside the base 83 alphabet', () => {
+    expect(isBlurHash('LEHV6nWB2yk8pyo0adR*.7kCMd"j')).toBe(false);
+    expect(isBlurHash('LEHV6nWB2yk8pyo0adR*.7kCMd j')).toBe(false);
+    expect(() => decodeBlurHash('00!!!!', 1, 1)).toThrow('Invalid BlurHash');
+  });
+});
+
+describe('decodeBlurHash', () => {
+  test('decodes the average color without shifting it', () => {
+    const hash = `00${encode83((128 << 16) | (64 << 8) | 32, 4)}`;
+
+    expect(Array.from(decodeBlurHash(hash, 2, 2))).toEqual([
+      128, 64, 32, 255,
+      128, 64, 32, 255,
+      128, 64, 32, 255,
+      128, 64, 32, 255
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+import { Quacktize } from '../src/core';
+
+/**
+ * Create a plugin that records its hooks
+ * @param {string} name - Plugin name
+ * @param {Array} calls - Receives `<name>:<hook>` for each hook call
+ * @param {Object} [extra] - Extra plugin fields
+ * @returns {Object} - Plugin
+ */
+function createPlugin(name, calls, extra = {}) {
+  return {
+    name,
+    setup({ listen, inject }) {
+      calls.push(`${name}:setup`);
+      listen(document, `test:${name}`, () => calls.push(`${name}:event`));
+      const meta = document.createElement('meta');
+      meta.name = name;
+      inject(meta);
+    },
+    onMutation(context, node, removed) {
+      calls.push(`${name}:mutation:${removed ? 'removed' : 'added'}`);
+    },
+    pause() {
+      calls.push(`${name}:pause`);
+    },
+    teardown(context, { removeInjected }) {
+      calls.push(`${name}:teardown:${removeInjected}`);
+    },
+    ...extra
+  };
+}
+
+describe('Quacktize lifecycle', () => {
+  let calls;
+  let optimizer;
+
+  beforeEach(() => {
+    calls = [];
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    if (optimizer) optimizer.destroy({ removeInjected: true });
+    optimizer = null;
+  });
+
+  test('init sets plugins up in order, once', () => {
+    optimizer = new Quacktize({ plugins: [createPlugin('one', calls), createPlugin('two', calls)] });
+
+    optimizer.init();
+    optimizer.init();
+
+    expect(optimizer.initialized).toBe(true);
+    expect(calls).toEqual(['one:setup', 'two:setup']);
+  });
+
+  test('a plugin with a config flag of its name is switched by it', () => {
+    const plugin = createPlugin('extra', calls, { defaults: { extra: false } });
+    optimizer = new Quacktize({ plugins: [plugin] }).init();
+
+    expect(calls).toEqual([]);
+
+    optimizer.updateConfig({ extra: true });
+    expect(calls).toEqual(['extra:setup']);
+    expect(document.querySelector('meta[name="extra"]')).not.toBeNull();
+
+    // Disabling a plugin removes what it injected
+    optimizer.updateConfig({ extra: false });
+    expect(calls).toEqual(['extra:setup', 'extra:teardown:true']);
+    expect(document.querySelector('meta[name="extra"]')).toBeNull();
+
+    document.dispatchEvent(new Event('test:extra'));
+    expect(calls).not.toContain('extra:event');
+  });
+
+  test('changing a restartOn option sets the plugin up again', () => {
+    const plugin = createPlugin('tuned', calls, { defaults: { tunedLimit: 1 }, restartOn: ['tunedLimit'] });
+    optimizer = new Quacktize({ plugins: [plugin] }).init();
+
+    optimizer.updateConfig({ tunedLimit: 1 });
+    expect(calls).toEqual(['tuned:setup']);
+
+    optimizer.updateConfig({ tunedLimit: 2 });
+    expect(calls).toEqual(['tuned:setup', 'tuned:teardown:false', 'tuned:setup']);
+    expect(optimizer.config.tunedLimit).toBe(2);
+  });
+
+  test('pause suspends and resume rescans the document', () => {
+    optimizer = new Quacktize({ plugins: [createPlugin('one', calls)] }).init();
+
+    optimizer.pause();
+    optimizer.pause();
+    expect(optimizer.paused).toBe(true);
+    expect(calls).toEqual(['one:setup', 'one:pause']);
+
+    // Refreshing while paused does nothing
+    optimizer.refresh();
+    expect(calls).toEqual(['one:setup', 'one:pause']);
+
+    optimizer.resume();
+    expect(optimizer.paused).toBe(false);
+    expect(calls).toEqual(['one:setup', 'one:pause', 'one:mutation:added']);
+  });
+
+  test('added and removed content is passed to onMutation', async () => {
+    optimizer = new Quacktize({ plugins: [createPlugin('one', calls)] }).init();
+
+    const section = document.createElement('section');
+    document.body.appendChild(section);
+    await Promise.resolve();
+    section.remove();
+    await Promise.resolve();
+
+    expect(calls).toEqual(['one:setup', 'one:mutation:added', 'one:mutation:removed']);
+  });
+
+  test('destroy tears plugins down in reverse order and allows init again', () => {
+    optimizer = new Quacktize({ plugins: [createPlugin('one', calls), createPlugin('two', calls)] }).init();
+
+    optimizer.destroy();
+    expect(optimizer.initialized).toBe(false);
+    expect(calls).toEqual(['one:setup', 'two:setup', 'two:teardown:false', 'one:teardown:false']);
+
+    // Listeners are gone, injected elements stay unless asked otherwise
+    document.dispatchEvent(new Event('test:one'));
+    expect(calls).not.toContain('one:event');
+    expect(document.querySelectorAll('meta')).toHaveLength(2);
+
+    optimizer.init();
+    expect(calls.slice(-2)).toEqual(['one:setup', 'two:setup']);
+    expect(document.querySelectorAll('meta')).toHaveLength(4);
+
+    // Only the elements of the current run are removed
+    optimizer.destroy({ removeInjected: true });
+    expect(document.querySelectorAll('meta')).toHaveLength(2);
+  });
+
+  test('plugins need a name', () => {
+    expect(() => new Quacktize({ plugins: [{ setup() {} }] })).toThrow(TypeError);
+  });
+
+  test('plugin methods, metrics and state are added to the instance', () => {
+    const plugin = {
+      name: 'counter',
+      metrics: { counted: 0 },
+      state: () => ({ items: [] }),
+      methods: {
+        count() {
+          this.metrics.counted++;
+          return this;
+        }
+      }
+    };
+    optimizer = new Quacktize({ plugins: [plugin] }).init();
+
+    expect(optimizer.count().count().getMetrics().counted).toBe(2);
+    expect(optimizer.items).toEqual([]);
+    expect(new Quacktize().count).toBeUndefined();
+  });
+});
+
+describe('Quacktize chunked work', () => {
+  let optimizer;
+  let processed;
+  let resumes;
+
+  /**
+   * Create a plugin that processes items in chunks when set up
+   * @param {Array} items - Items to process
+   * @returns {Object} - Plugin exposing the chunking promise as `done`
+   */
+  function createChunkPlugin(items) {
+    const plugin = {
+      name: 'chunks',
+      setup({ forEachChunk }) {
+        plugin.done = forEachChunk(items, item => processed.push(item));
+      }
+    };
+    return plugin;
+  }
+
+  /**
+   * Let every pending yield continue until the work is done
+   * @param {Promise<boolean>} done - Chunking promise
+   * @returns {Promise<boolean>} - Its result
+   */
+  async function resumeAll(done) {
+    let finished = false;
+    done.then(() => {
+      finished = true;
+    });
+    while (!finished) {
+      resumes.splice(0).forEach(resume => resume());
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return done;
+  }
+
+  beforeEach(() => {
+    processed = [];
+    resumes = [];
+    window.scheduler = { yield: jest.fn(() => new Promise(resolve => resumes.push(resolve))) };
+  });
+
+  afterEach(() => {
+    optimizer.destroy();
+    delete window.scheduler;
+  });
+
+  test('yields to the main thread once the work has run for yieldInterval', async () => {
+    const plugin = createChunkPlugin([1, 2, 3]);
+    optimizer = new Quacktize({ plugins: [plugin], yieldInterval: 1000 }).init();
+
+    await expect(resumeAll(plugin.done)).resolves.toBe(true);
+    expect(processed).toEqual([1, 2, 3]);
+    expect(window.scheduler.yield).toHaveBeenCalledTimes(1);
+  });
+
+  test('yields before every item without a yieldInterval', async () => {
+    const plugin = createChunkPlugin([1, 2, 3]);
+    optimizer = new Quacktize({ plugins: [plugin], yieldInterval: 0 }).init();
+
+    await expect(resumeAll(plugin.done)).resolves.toBe(true);
+    expect(processed).toEqual([1, 2, 3]);
+    expect(window.scheduler.yield).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops when the feature is torn down while yielding', async () => {
+    const plugin = createChunkPlugin([1, 2, 3]);
+    optimizer = new Quacktize({ plugins: [plugin], yieldInterval: 0 }).init();
+    expect(resumes).toHaveLength(1);
+
+    optimizer.destroy();
+    await expect(resumeAll(plugin.done)).resolves.toBe(false);
+    expect(processed).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { Quacktize } from '../src/core';
+import { criticalCSSPlugin } from '../src/plugins/critical-css';
+
+describe('critical CSS plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<style>.hero { color: red; }</style>';
+    document.body.innerHTML = '<header class="hero">Hi</header>';
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    jest.restoreAllMocks();
+  });
+
+  test('passes budget warnings to onCriticalCSSWarning', () => {
+    const onCriticalCSSWarning = jest.fn();
+    optimizer = new Quacktize({ plugins: [criticalCSSPlugin], criticalCSSBudget: 4, onCriticalCSSWarning }).init();
+
+    optimizer._extractPageCriticalCSS(new Set(document.querySelectorAll('.hero')));
+
+    expect(onCriticalCSSWarning).toHaveBeenCalledWith('Critical CSS is 16 bytes, over the budget of 4 bytes');
+  });
+
+  test('logs budget warnings in debug mode only', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    optimizer = new Quacktize({ plugins: [criticalCSSPlugin], criticalCSSBudget: 4 }).init();
+
+    optimizer._extractPageCriticalCSS(new Set(document.querySelectorAll('.hero')));
+    expect(warn).not.toHaveBeenCalled();
+    expect(log).not.toHaveBeenCalled();
+
+    optimizer.updateConfig({ debug: true });
+    optimizer._extractPageCriticalCSS(new Set(document.querySelectorAll('.hero')));
+    expect(warn).not.toHaveBeenCalled();
+    expect(log).toHaveBeenCalledWith('[Quacktize]', 'Critical CSS is 16 bytes, over the budget of 4 bytes');
+  });
+
+  test('merges cached viewports in the order of the page', async () => {
+    const time = Date.now();
+    localStorage.setItem('quacktize-critical-css:/:360x640', JSON.stringify({
+      rules: [{ index: 0, css: '.a{color:red}' }, { index: 2, css: '.a{color:blue}' }],
+      time
+    }));
+    localStorage.setItem('quacktize-critical-css:/:1440x900', JSON.stringify({
+      rules: [{ index: 1, css: '.b{color:green}' }, { index: 2, css: '.a{color:blue}' }],
+      time
+    }));
+    optimizer = new Quacktize({
+      plugins: [criticalCSSPlugin],
+      criticalCSSCache: 'localStorage',
+      criticalCSSViewports: [{ width: 360, height: 640 }, { width: 1440, height: 900 }]
+    }).init();
+
+    const css = await optimizer.applyCriticalCSS();
+
+    expect(css).toBe('.a{color:red}\n.b{color:green}\n.a{color:blue}');
+    expect(document.getElementById('critical-css').textContent).toBe(css);
+    localStorage.clear();
+  });
+});
@@ -0,0 +1,105 @@
+import { extractCriticalCSS, extractCriticalRules, mergeCriticalCSS, checkBudget } from '../src/critical-css';
+
+/**
+ * Replace the document with some markup and a stylesheet
+ * @param {string} html - Body markup
+ * @param {string} css - Stylesheet
+ */
+function setPage(html, css) {
+  document.head.innerHTML = '';
+  document.body.innerHTML = html;
+  const style = document.createElement('style');
+  style.textContent = css;
+  document.head.appendChild(style);
+}
+
+/**
+ * Get the elements of the document matching a selector as a fold
+ * @param {string} selector - Elements above the fold
+ * @returns {Set<Element>} - Above-fold elements
+ */
+function fold(selector) {
+  return new Set(document.querySelectorAll(selector));
+}
+
+describe('extractCriticalCSS', () => {
+  test('keeps the rules matching above-fold elements', () => {
+    setPage('<header class="hero">Hi</header><footer class="footer">Bye</footer>', `
+      .hero { color: red; }
+      .footer { color: blue; }
+      @media (min-width: 40em) { .hero { font-size: 2rem; } .footer { font-size: 1rem; } }
+    `);
+
+    expect(extractCriticalCSS(document, fold('.hero'), { budget: 0 })).toBe([
+      '.hero{color:red}',
+      '@media (min-width: 40em){.hero{font-size:2rem}}'
+    ].join('\n'));
+  });
+
+  test('matches selectors without their interactive pseudo-classes', () => {
+    setPage('<a class="cta" href="#">Go</a>', '.cta:hover { color: red; } .cta::after { content: ""; } .other:focus { color: blue; }');
+
+    expect(extractCriticalCSS(document, fold('.cta'), { budget: 0 })).toBe('.cta:hover{color:red}\n.cta::after{content:""}');
+  });
+
+  test('keeps only the keyframes, fonts and custom properties in use', () => {
+    setPage('<h1 class="title">Hi</h1>', `
+      :root { --brand: red; --unused: blue; --accent: var(--brand); }
+      @font-face { font-family: "Used"; src: url(used.woff2); }
+      @font-face { font-family: "Unused"; src: url(unused.woff2); }
+      @keyframes fade { from { opacity: 0; } }
+      @keyframes spin { to { transform: rotate(1turn); } }
+      .title { color: var(--accent); font-family: Used, sans-serif; animation: fade 1s; }
+    `);
+
+    const css = extractCriticalCSS(document, fold('html, .title'), { budget: 0 });
+
+    expect(css).toContain('--brand:red');
+    expect(css).toContain('--accent:var(--brand)');
+    expect(css).not.toContain('--unused');
+    expect(css).toContain('font-family:"Used"');
+    expect(css).not.toContain('Unused');
+    expect(css).toContain('@keyframes fade');
+    expect(css).not.toContain('spin');
+  });
+
+  test('warns when the result is over budget', () => {
+    setPage('<p class="text">Hi</p>', '.text { color: red; }');
+    const warn = jest.fn();
+
+    extractCriticalCSS(document, fold('.text'), { budget: 4, warn });
+
+    expect(warn).toHaveBeenCalledWith('Critical CSS is 16 bytes, over the budget of 4 bytes');
+    expect(checkBudget('.text{color:red}', 0, warn)).toBe(true);
+  });
+});
+
+describe('mergeCriticalCSS', () => {
+  test('keeps rules shared by several viewports once', () => {
+    expect(mergeCriticalCSS([
+      [{ index: 0, css: '.a{color:red}' }, { index: 1, css: '.b{color:blue}' }],
+      [{ index: 0, css: '.a{color:red}' }, { index: 2, css: '.c{color:green}' }]
+    ])).toBe('.a{color:red}\n.b{color:blue}\n.c{color:green}');
+  });
+
+  test('puts rules back in the order of the page', () => {
+    setPage('<p class="text">Hi</p><p class="lead">Hello</p>', `
+      .text { color: red; }
+      .lead { color: green; }
+      .text { color: blue; }
+      @media (min-width: 40em) { .lead { color: black; } }
+    `);
+
+    // The second viewport sees a rule that sits between the first one's rules
+    const small = extractCriticalRules(document, fold('.text'));
+    const large = extractCriticalRules(document, fold('.text, .lead'));
+
+    expect(small.map(rule => rule.index)).toEqual([0, 2]);
+    expect(mergeCriticalCSS([small, large])).toBe([
+      '.text{color:red}',
+      '.lead{color:green}',
+      '.text{color:blue}',
+      '@media (min-width: 40em){.lead{color:black}}'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,35 @@
+import { Quacktize } from '../src/core';
+import { lazyLoadPlugin } from '../src/plugins/lazy-load';
+import { debugOverlayPlugin } from '../src/plugins/debug-overlay';
+
+describe('debug overlay plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '<img data-src="/photo.jpg" alt="">';
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+  });
+
+  test('lists lazy elements when state classes are switched off', async () => {
+    optimizer = new Quacktize({
+      plugins: [lazyLoadPlugin, debugOverlayPlugin],
+      debugOverlay: true,
+      lazyLoadRetries: 0,
+      lazyLoadingClass: null,
+      lazyLoadedClass: ''
+    }).init();
+
+    document.querySelector('img').dispatchEvent(new Event('error'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(() => optimizer._renderOverlay()).not.toThrow();
+
+    const headings = Array.from(optimizer.overlay.querySelectorAll('h2'), heading => heading.textContent);
+    expect(headings).toContain('Lazy elements (1)');
+    expect(optimizer.overlay.textContent).toContain('error img /photo.jpg');
+  });
+});
@@ -0,0 +1,70 @@
+import { Quacktize } from '../src/core';
+import { facadesPlugin } from '../src/plugins/facades';
+
+/**
+ * Let pending promises settle
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('facades plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '<iframe id="video" data-facade data-src="https://player.vimeo.com/video/76979871" title="Demo"></iframe>';
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    delete window.IntersectionObserver;
+    jest.restoreAllMocks();
+  });
+
+  test('keeps its styles after destroy unless removeInjected is set', () => {
+    optimizer = new Quacktize({ plugins: [facadesPlugin] }).init();
+
+    optimizer.destroy();
+    expect(document.querySelectorAll('#quacktize-facades')).toHaveLength(1);
+
+    // Running again replaces the old styles instead of adding more
+    optimizer.init();
+    expect(document.querySelectorAll('#quacktize-facades')).toHaveLength(1);
+
+    optimizer.destroy({ removeInjected: true });
+    expect(document.getElementById('quacktize-facades')).toBeNull();
+  });
+
+  test('looks up the thumbnail once the facade nears the viewport', async () => {
+    const observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        this.disconnect = jest.fn();
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.target = target;
+      }
+    };
+    window.fetch = jest.fn(() => Promise.resolve({ json: () => ({ thumbnail_url: 'https://i.vimeocdn.com/thumb.jpg' }) }));
+
+    optimizer = new Quacktize({ plugins: [facadesPlugin] }).init();
+    const container = document.getElementById('video');
+
+    expect(container.tagName).toBe('DIV');
+    expect(observers[0].target).toBe(container);
+    expect(window.fetch).not.toHaveBeenCalled();
+
+    observers[0].callback([{ isIntersecting: true }]);
+    await flush();
+
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    expect(observers[0].disconnect).toHaveBeenCalled();
+    expect(container.querySelector('img').getAttribute('src')).toBe('https://i.vimeocdn.com/thumb.jpg');
+    delete window.fetch;
+  });
+});
@@ -0,0 +1,70 @@
+import { Quacktize } from '../src/core';
+import { fontOptimizationPlugin } from '../src/plugins/fonts';
+
+/**
+ * Wait for the font optimization to yield and continue
+ * @param {number} [ms=20] - Time to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a copy of the font plugin with some methods replaced
+ * @param {Object} methods - Methods to replace
+ * @returns {Object} - Plugin
+ */
+function withMethods(methods) {
+  return { ...fontOptimizationPlugin, methods: { ...fontOptimizationPlugin.methods, ...methods } };
+}
+
+describe('font optimization plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<style>@font-face { font-family: "Brand"; src: url(/brand.woff2) format("woff2"); } h1 { font-family: Brand; }</style>';
+    document.body.innerHTML = '<h1>Hello</h1>';
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    jest.restoreAllMocks();
+  });
+
+  test('logs errors instead of rejecting', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const error = new Error('Cannot measure');
+    const plugin = withMethods({
+      _findCriticalFontFaces() {
+        throw error;
+      }
+    });
+
+    optimizer = new Quacktize({ plugins: [plugin], debug: true }).init();
+    await wait();
+
+    expect(log).toHaveBeenCalledWith('[Quacktize]', 'Font optimization failed:', error);
+  });
+
+  test('waits for the body before looking for text above the fold', async () => {
+    const body = document.body;
+    const bodies = [];
+    const plugin = withMethods({
+      _findCriticalFontFaces(faces) {
+        bodies.push(document.body);
+        return fontOptimizationPlugin.methods._findCriticalFontFaces.call(this, faces);
+      }
+    });
+
+    body.remove();
+    optimizer = new Quacktize({ plugins: [plugin] }).init();
+    await wait();
+    expect(bodies).toEqual([]);
+
+    document.documentElement.appendChild(body);
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    await wait();
+    expect(bodies).toEqual([body]);
+  });
+});
@@ -0,0 +1,156 @@
+import { Quacktize } from '../src/core';
+import { lazyLoadPlugin } from '../src/plugins/lazy-load';
+
+/**
+ * Wait for retry timers to fire
+ * @param {number} [ms=20] - Time to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('lazy load plugin', () => {
+  let optimizer;
+  let events;
+
+  const record = e => events.push(`${e.type} ${e.detail.attempts || ''}`.trim());
+
+  beforeEach(() => {
+    events = [];
+    document.head.innerHTML = '';
+    document.body.innerHTML = '<img id="photo" data-src="/photo.jpg" data-fallback="/fallback.jpg">';
+    ['quacktize:lazyload', 'quacktize:loaded', 'quacktize:error'].forEach(type => document.addEventListener(type, record));
+  });
+
+  afterEach(() => {
+    ['quacktize:lazyload', 'quacktize:loaded', 'quacktize:error'].forEach(type => document.removeEventListener(type, record));
+    optimizer.destroy({ removeInjected: true });
+  });
+
+  test('loads elements near the viewport', async () => {
+    optimizer = new Quacktize({ plugins: [lazyLoadPlugin] }).init();
+    const img = document.getElementById('photo');
+
+    expect(img.getAttribute('src')).toBe('/photo.jpg');
+    expect(img.hasAttribute('data-src')).toBe(false);
+    expect(img.classList.contains('quacktize-loading')).toBe(true);
+
+    img.dispatchEvent(new Event('load'));
+    await wait(0);
+
+    expect(img.classList.contains('quacktize-loaded')).toBe(true);
+    expect(optimizer.getMetrics().imagesOptimized).toBe(1);
+    expect(events).toEqual(['quacktize:lazyload', 'quacktize:loaded 1']);
+  });
+
+  test('retries failed loads with the original sources', async () => {
+    optimizer = new Quacktize({ plugins: [lazyLoadPlugin], lazyLoadRetries: 2, lazyLoadRetryDelay: 1 }).init();
+    const img = document.getElementById('photo');
+
+    img.removeAttribute('src');
+    img.dispatchEvent(new Event('error'));
+    await wait();
+
+    // The retry swaps the source in again
+    expect(img.getAttribute('src')).toBe('/photo.jpg');
+    expect(img.classList.contains('quacktize-error')).toBe(false);
+
+    img.dispatchEvent(new Event('load'));
+    await wait(0);
+
+    expect(img.classList.contains('quacktize-loaded')).toBe(true);
+    expect(events).toEqual(['quacktize:lazyload', 'quacktize:loaded 2']);
+  });
+
+  test('retries videos with the sources of their source elements', async () => {
+    const load = jest.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+    document.body.innerHTML = '<video id="clip" data-lazy><source data-src="/clip.webm" type="video/webm"></video>';
+    optimizer = new Quacktize({ plugins: [lazyLoadPlugin], lazyLoadRetries: 1, lazyLoadRetryDelay: 1 }).init();
+    const source = document.querySelector('#clip source');
+
+    expect(source.getAttribute('src')).toBe('/clip.webm');
+    expect(load).toHaveBeenCalledTimes(1);
+
+    source.removeAttribute('src');
+    source.dispatchEvent(new Event('error'));
+    await wait();
+
+    // The retry swaps the source in again and reloads the video
+    expect(source.getAttribute('src')).toBe('/clip.webm');
+    expect(load).toHaveBeenCalledTimes(2);
+
+    document.getElementById('clip').dispatchEvent(new Event('loadeddata'));
+    await wait(0);
+
+    expect(events).toEqual(['quacktize:lazyload', 'quacktize:loaded 2']);
+    load.mockRestore();
+  });
+
+  test('applies the fallback once every retry failed', async () => {
+    optimizer = new Quacktize({ plugins: [lazyLoadPlugin], lazyLoadRetries: 1, lazyLoadRetryDelay: 1 }).init();
+    const img = document.getElementById('photo');
+
+    img.dispatchEvent(new Event('error'));
+    await wait();
+    img.dispatchEvent(new Event('error'));
+    await wait(0);
+
+    expect(img.getAttribute('src')).toBe('/fallback.jpg');
+    expect(img.classList.contains('quacktize-error')).toBe(true);
+    expect(optimizer.getMetrics().imagesFailed).toBe(1);
+    expect(events).toEqual(['quacktize:lazyload', 'quacktize:error 2']);
+  });
+
+  test('applies the fallback to pictures instead of their sources', async () => {
+    document.body.innerHTML = '<picture><source data-srcset="/photo.webp" type="image/webp"><img id="photo" data-src="/photo.jpg" data-fallback="/fallback.jpg"></picture>';
+    optimizer = new Quacktize({ plugins: [lazyLoadPlugin], lazyLoadRetries: 0 }).init();
+    const img = document.getElementById('photo');
+    const source = document.querySelector('source');
+
+    expect(source.getAttribute('srcset')).toBe('/photo.webp');
+
+    img.dispatchEvent(new Event('error'));
+    await wait(0);
+
+    expect(img.getAttribute('src')).toBe('/fallback.jpg');
+    expect(source.hasAttribute('srcset')).toBe(false);
+    expect(events).toEqual(['quacktize:lazyload', 'quacktize:error 1']);
+  });
+
+  test('lifts the placeholder blur with the state classes switched off', async () => {
+    document.body.innerHTML = '<img id="photo" data-src="/photo.jpg" data-placeholder="data:image/gif;base64,R0lGODlhAQABAAAAACw=">';
+    optimizer = new Quacktize({
+      plugins: [lazyLoadPlugin],
+      lazyLoadedClass: null,
+      lazyErrorClass: '',
+      placeholderTransition: 300
+    }).init();
+    const img = document.getElementById('photo');
+
+    expect(img.classList.contains('quacktize-placeholder')).toBe(true);
+    expect(document.getElementById('quacktize-placeholders').textContent).toBe('.quacktize-placeholder { filter: blur(16px); }');
+
+    img.dispatchEvent(new Event('load'));
+    await wait(0);
+
+    expect(img.classList.contains('quacktize-placeholder')).toBe(false);
+    expect(img.style.transition).toBe('filter 300ms ease-out');
+
+    img.dispatchEvent(new Event('transitionend'));
+    expect(img.style.transition).toBe('');
+  });
+
+  test('destroy cancels pending retries', async () => {
+    optimizer = new Quacktize({ plugins: [lazyLoadPlugin], lazyLoadRetries: 1, lazyLoadRetryDelay: 5 }).init();
+    const img = document.getElementById('photo');
+
+    img.dispatchEvent(new Event('error'));
+    await wait(0);
+    optimizer.destroy();
+    img.removeAttribute('src');
+    await wait();
+
+    expect(img.hasAttribute('src')).toBe(false);
+  });
+});
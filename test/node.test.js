@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { generateCriticalCSS, inlineCriticalCSS } from '../src/node';
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+describe('generateCriticalCSS', () => {
+  let html;
+
+  beforeAll(async () => {
+    html = await readFile(path.join(fixtures, 'page.html'), 'utf8');
+  });
+
+  test('keeps @layer blocks and the layer order', async () => {
+    const css = await generateCriticalCSS({ html, basePath: fixtures, cssFiles: [], css: [], viewports: [{ width: 1440, height: 900 }] });
+
+    expect(css.split('\n')).toEqual(expect.arrayContaining([
+      '@layer reset, base, theme;',
+      '@layer reset{*{box-sizing:border-box}}',
+      '@layer base{.hero{margin:0}}',
+      '.hero-title{content:"@layer theme { }"}',
+      '@layer theme{@media (min-width: 40em){.hero-title{font-size:3rem}}}'
+    ]));
+    expect(css.indexOf('@layer reset, base, theme;')).toBe(0);
+    expect(css).not.toContain('.footer');
+    expect(css).not.toContain('quacktize-at-');
+  });
+
+  test('keeps @container blocks, also nested in other at-rules', async () => {
+    const css = await generateCriticalCSS({ html, basePath: fixtures, viewports: [{ width: 1440, height: 900 }] });
+
+    expect(css).toContain('.card{container:card / inline-size}');
+    expect(css).toContain('@container card (min-width: 400px){.card-text{font-size:1.25rem}}');
+    expect(css).toContain('@supports (container-type: inline-size){@container (max-width: 20em){.card-text{font-size:1rem}}}');
+  });
+
+  test('handles a CSS string with a layer block', async () => {
+    const css = await generateCriticalCSS({
+      html: '<body><div class="hero">Hi</div></body>',
+      css: '.hero{color:red} @layer base{.hero{border:0}}'
+    });
+
+    expect(css).toBe('.hero{color:red}\n@layer base{.hero{border:0}}');
+  });
+
+  test('warns when a stylesheet cannot be parsed', async () => {
+    const onWarning = jest.fn();
+    await generateCriticalCSS({
+      html: '<body><div class="hero">Hi</div></body>',
+      css: ['.hero{color:red}', '.hero{color:blue} @font-feature-values Font One{@styleset{nice-style:12;}}'],
+      onWarning
+    });
+
+    expect(onWarning).toHaveBeenCalledWith('Could not parse CSS source 2, its rules are missing from the critical CSS');
+  });
+
+  test('checks the budget against the restored CSS', async () => {
+    const onWarning = jest.fn();
+    const css = await generateCriticalCSS({
+      html: '<body><div class="hero">Hi</div></body>',
+      css: '@layer base{.hero{border:0}}',
+      budget: 10,
+      onWarning
+    });
+
+    expect(onWarning).toHaveBeenCalledWith(`Critical CSS is ${css.length} bytes, over the budget of 10 bytes`);
+  });
+});
+
+describe('inlineCriticalCSS', () => {
+  test('inlines the critical CSS and loads stylesheets asynchronously', async () => {
+    const html = await readFile(path.join(fixtures, 'page.html'), 'utf8');
+    const result = await inlineCriticalCSS({ html, basePath: fixtures });
+
+    expect(result.html).toContain(`<style id="critical-css">${result.criticalCSS}</style>`);
+    expect(result.html).toContain('<link rel="stylesheet" href="/layers.css" media="print" onload="this.media=\'all\';this.onload=null">');
+    expect(result.html).toContain('<noscript><link rel="stylesheet" href="/layers.css"></noscript>');
+  });
+});
@@ -0,0 +1,337 @@
+import { Quacktize } from '../src/core';
+import { prefetchPlugin } from '../src/plugins/prefetch';
+
+/**
+ * Touch a link, which prefetches it right away
+ * @param {string} href - Link href
+ */
+function touch(href) {
+  document.querySelector(`a[href="${href}"]`).dispatchEvent(new Event('touchstart', { bubbles: true }));
+}
+
+/**
+ * Dispatch a mouse or focus event that bubbles to the document
+ * @param {Element} target - Event target
+ * @param {string} type - Event type
+ * @param {Element|null} [relatedTarget=null] - Element the pointer or focus moves to
+ */
+function fire(target, type, relatedTarget = null) {
+  const EventType = type.startsWith('focus') ? FocusEvent : MouseEvent;
+  target.dispatchEvent(new EventType(type, { bubbles: true, relatedTarget }));
+}
+
+/**
+ * Get the URLs of the prefetch links in the document head
+ * @returns {string[]} - Prefetched URLs
+ */
+function prefetchLinks() {
+  return Array.from(document.head.querySelectorAll('link[rel="prefetch"]'), link => link.getAttribute('href'));
+}
+
+/**
+ * Parse the speculation rules scripts in the document head
+ * @returns {Object[]} - Rule sets
+ */
+function ruleSets() {
+  return Array.from(document.head.querySelectorAll('script[type="speculationrules"]'), script => JSON.parse(script.textContent));
+}
+
+/**
+ * Add links to the page and touch each of them
+ * @param {string} html - Markup of the links
+ * @returns {string[]} - Prefetched URLs
+ */
+function touchLinks(html) {
+  document.body.innerHTML = html;
+  document.querySelectorAll('a').forEach(link => link.dispatchEvent(new Event('touchstart', { bubbles: true })));
+  return prefetchLinks();
+}
+
+/**
+ * Let hover timers and idle callbacks run
+ * @param {number} [ms=30] - Time to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 30) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('prefetch plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    // jsdom does not fetch, pretend it supports prefetch links
+    jest.spyOn(DOMTokenList.prototype, 'supports').mockReturnValue(true);
+    document.head.innerHTML = '';
+    document.body.innerHTML = ['/a', '/b', '/c'].map(href => `<a href="${href}">${href}</a>`).join('');
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    jest.restoreAllMocks();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('runs at most prefetchConcurrency prefetches at a time', () => {
+    const prefetched = [];
+    document.addEventListener('quacktize:prefetch', e => prefetched.push(e.detail.url));
+    optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchConcurrency: 1 }).init();
+
+    touch('/a');
+    touch('/b');
+    touch('/c');
+    expect(prefetchLinks()).toEqual(['http://localhost/a']);
+    expect(optimizer.prefetchesInFlight).toBe(1);
+
+    // A finished prefetch frees its slot for the next one
+    document.head.querySelector('link[rel="prefetch"]').dispatchEvent(new Event('load'));
+    expect(prefetchLinks()).toEqual(['http://localhost/a', 'http://localhost/b']);
+    expect(prefetched).toEqual(['http://localhost/a']);
+
+    // Failed prefetches free their slot too, without an event
+    document.head.querySelectorAll('link[rel="prefetch"]')[1].dispatchEvent(new Event('error'));
+    expect(prefetchLinks()).toHaveLength(3);
+    expect(prefetched).toEqual(['http://localhost/a']);
+    expect(optimizer.getMetrics().resourcesSaved).toBe(3);
+  });
+
+  test('prefetches each URL once', () => {
+    optimizer = new Quacktize({ plugins: [prefetchPlugin] }).init();
+
+    touch('/a');
+    touch('/a');
+    optimizer.prefetch('/a#top');
+
+    expect(prefetchLinks()).toEqual(['http://localhost/a']);
+  });
+
+  test('frees the slots of unsettled prefetches when switched off', () => {
+    optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchConcurrency: 1 }).init();
+
+    touch('/a');
+    optimizer.updateConfig({ prefetch: false });
+    expect(optimizer.prefetchesInFlight).toBe(0);
+
+    optimizer.updateConfig({ prefetch: true });
+    touch('/b');
+    expect(prefetchLinks()).toEqual(['http://localhost/b']);
+    expect(optimizer.prefetchesInFlight).toBe(1);
+  });
+
+  test('prefetches again after destroy and init', () => {
+    optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchConcurrency: 1 }).init();
+
+    touch('/a');
+    const link = document.head.querySelector('link[rel="prefetch"]');
+    optimizer.destroy({ removeInjected: true }).init();
+
+    touch('/a');
+    touch('/b');
+    expect(prefetchLinks()).toEqual(['http://localhost/a']);
+    expect(optimizer.prefetchesInFlight).toBe(1);
+
+    // A late event from the removed link does not free a slot
+    link.dispatchEvent(new Event('load'));
+    expect(prefetchLinks()).toEqual(['http://localhost/a']);
+    expect(optimizer.prefetchesInFlight).toBe(1);
+  });
+
+  describe('URL rules', () => {
+    // Room for every prefetch, so only the rules decide
+    const start = config => new Quacktize({ plugins: [prefetchPlugin], prefetchConcurrency: 10, ...config }).init();
+
+    test('resolves relative paths and drops hashes and tracking parameters', () => {
+      window.history.replaceState(null, '', '/blog/post');
+      optimizer = start();
+
+      expect(touchLinks(`
+        <a href="next">Next</a>
+        <a href="../about#team">About</a>
+        <a href="/about?utm_source=mail&amp;utm_medium=email">About</a>
+        <a href="/search?q=ducks&amp;fbclid=1">Search</a>
+        <a href="/search?fbclid=2&amp;q=ducks#results">Search</a>
+      `)).toEqual([
+        'http://localhost/blog/next',
+        'http://localhost/about',
+        'http://localhost/search?q=ducks'
+      ]);
+    });
+
+    test('skips the current page, other schemes and invalid URLs', () => {
+      window.history.replaceState(null, '', '/page?id=1');
+      optimizer = start();
+
+      expect(touchLinks(`
+        <a href="#section">Section</a>
+        <a href="/page?id=1#top">Top</a>
+        <a href="mailto:quack@example.com">Mail</a>
+        <a href="javascript:void(0)">Script</a>
+        <a href="http://[invalid">Invalid</a>
+        <a href="/page?id=2">Other</a>
+      `)).toEqual(['http://localhost/page?id=2']);
+    });
+
+    test('skips opted out, nofollow and download links', () => {
+      optimizer = start();
+
+      expect(touchLinks(`
+        <a href="/opted-out" data-no-prefetch>Opted out</a>
+        <nav data-no-prefetch><a href="/in-opted-out">Nested</a></nav>
+        <a href="/sponsored" rel="sponsored NoFollow">Sponsored</a>
+        <a href="/partner" rel="external">Partner</a>
+        <a href="/report.pdf" download>Report</a>
+        <a href="/logout">Log out</a>
+        <a href="/sign-out">Sign out</a>
+        <a href="/pricing">Pricing</a>
+      `)).toEqual(['http://localhost/pricing']);
+    });
+
+    test('matches include and exclude globs, regular expressions and functions', () => {
+      optimizer = start({
+        prefetchInclude: ['/blog/*', /\/docs\//, (url, link) => link.hasAttribute('data-next')],
+        prefetchExclude: ['/blog/drafts/*', 'http://localhost/docs/legacy*', url => url.searchParams.has('preview')]
+      });
+
+      expect(touchLinks(`
+        <a href="/blog/ducks">Ducks</a>
+        <a href="/blog/drafts/geese">Draft</a>
+        <a href="/blog/ducks?preview=1">Preview</a>
+        <a href="/docs/api">Docs</a>
+        <a href="/docs/legacy/api">Legacy docs</a>
+        <a href="/shop" data-next>Shop</a>
+        <a href="/about">About</a>
+      `)).toEqual([
+        'http://localhost/blog/ducks',
+        'http://localhost/docs/api',
+        'http://localhost/shop'
+      ]);
+    });
+
+    test('only prefetches other origins when opted in', () => {
+      const html = `
+        <a href="https://cdn.example.com/a">CDN</a>
+        <a href="https://shop.example.com/b">Shop</a>
+        <a href="https://blog.example.com/c" data-prefetch>Blog</a>
+      `;
+
+      optimizer = start();
+      expect(touchLinks(html)).toEqual(['https://blog.example.com/c']);
+      optimizer.destroy({ removeInjected: true });
+
+      optimizer = start({ prefetchCrossOrigin: ['https://shop.example.com'] });
+      expect(touchLinks(html)).toEqual(['https://shop.example.com/b', 'https://blog.example.com/c']);
+      optimizer.destroy({ removeInjected: true });
+
+      optimizer = start({ prefetchCrossOrigin: true });
+      expect(touchLinks(html)).toHaveLength(3);
+    });
+  });
+
+  describe('speculation rules', () => {
+    beforeEach(() => {
+      HTMLScriptElement.supports = type => type === 'speculationrules';
+    });
+
+    afterEach(() => {
+      delete HTMLScriptElement.supports;
+    });
+
+    test('lists prefetched URLs in a single rules script', () => {
+      optimizer = new Quacktize({ plugins: [prefetchPlugin], speculationRules: true, speculationAction: 'prerender' }).init();
+
+      touch('/a');
+      touch('/b');
+
+      expect(prefetchLinks()).toEqual([]);
+      expect(ruleSets()).toEqual([{
+        prerender: [{ source: 'list', urls: ['http://localhost/a', 'http://localhost/b'], eagerness: 'immediate' }]
+      }]);
+    });
+
+    test('adds document rules for speculationWhere', () => {
+      optimizer = new Quacktize({
+        plugins: [prefetchPlugin],
+        speculationRules: true,
+        speculationWhere: 'a.product',
+        speculationEagerness: 'eager'
+      }).init();
+
+      expect(ruleSets()).toEqual([{
+        prefetch: [{ source: 'document', where: { selector_matches: 'a.product' }, eagerness: 'eager' }]
+      }]);
+
+      touch('/a');
+      expect(ruleSets()).toEqual([{
+        prefetch: [
+          { source: 'list', urls: ['http://localhost/a'], eagerness: 'immediate' },
+          { source: 'document', where: { selector_matches: 'a.product' }, eagerness: 'eager' }
+        ]
+      }]);
+
+      optimizer.destroy({ removeInjected: true });
+      expect(ruleSets()).toEqual([]);
+
+      optimizer.updateConfig({ speculationWhere: { href_matches: '/shop/*' } }).init();
+      expect(ruleSets()[0].prefetch).toEqual([{ source: 'document', where: { href_matches: '/shop/*' }, eagerness: 'eager' }]);
+    });
+
+    test('falls back to prefetch links where unsupported', () => {
+      delete HTMLScriptElement.supports;
+      optimizer = new Quacktize({ plugins: [prefetchPlugin], speculationRules: true, speculationWhere: 'a' }).init();
+
+      touch('/a');
+      expect(ruleSets()).toEqual([]);
+      expect(prefetchLinks()).toEqual(['http://localhost/a']);
+    });
+  });
+
+  describe('hover and focus', () => {
+    test('prefetches links hovered for a moment, including links added later', async () => {
+      optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchHoverDelay: 10 }).init();
+      document.body.insertAdjacentHTML('beforeend', '<a href="/d"><span>Later</span></a>');
+      const link = document.querySelector('a[href="/d"]');
+      const span = link.querySelector('span');
+
+      fire(span, 'mouseover');
+
+      // Moving between elements inside the link keeps the timer
+      fire(span, 'mouseout', link);
+      fire(link, 'mouseover');
+      await wait();
+
+      expect(prefetchLinks()).toEqual(['http://localhost/d']);
+    });
+
+    test('cancels the prefetch when the pointer leaves early', async () => {
+      optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchHoverDelay: 10 }).init();
+      const link = document.querySelector('a[href="/a"]');
+
+      fire(link, 'mouseover');
+      fire(link, 'mouseout', document.body);
+      await wait();
+
+      expect(prefetchLinks()).toEqual([]);
+    });
+
+    test('prefetches focused links and cancels on blur', async () => {
+      optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchHoverDelay: 10 }).init();
+
+      fire(document.querySelector('a[href="/a"]'), 'focusin');
+      fire(document.querySelector('a[href="/a"]'), 'focusout', document.querySelector('a[href="/b"]'));
+      fire(document.querySelector('a[href="/b"]'), 'focusin');
+      await wait();
+
+      expect(prefetchLinks()).toEqual(['http://localhost/b']);
+    });
+
+    test('ignores intent while paused', async () => {
+      optimizer = new Quacktize({ plugins: [prefetchPlugin], prefetchHoverDelay: 10 }).init().pause();
+
+      fire(document.querySelector('a[href="/a"]'), 'mouseover');
+      touch('/b');
+      await wait();
+
+      expect(prefetchLinks()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { Quacktize } from '../src/core';
+import { priorityHintsPlugin } from '../src/plugins/priority-hints';
+
+/**
+ * Give an element a layout box, which jsdom does not compute
+ * @param {string} selector - Element selector
+ * @param {Object} rect - Left, top, width and height
+ */
+function place(selector, { left = 0, top, width, height }) {
+  document.querySelector(selector).getBoundingClientRect = () => ({
+    left,
+    top,
+    width,
+    height,
+    right: left + width,
+    bottom: top + height
+  });
+}
+
+/**
+ * Get the image preloads in the document head
+ * @returns {Element[]} - Preload links
+ */
+function preloads() {
+  return Array.from(document.head.querySelectorAll('link[rel="preload"][as="image"]'));
+}
+
+describe('priority hints plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = `
+      <img id="logo" src="/logo.png">
+      <img id="hero" data-src="/hero.jpg" data-srcset="/hero-800.jpg 800w, /hero-1600.jpg 1600w" sizes="100vw" loading="lazy">
+      <img id="footer" src="/footer.png">
+      <img id="pinned" src="/pinned.png" fetchpriority="auto">
+      <script id="tag" src="/tag.js" async></script>
+      <script id="critical" src="/critical.js" async></script>`;
+
+    // The hero is wider than the viewport, only its visible part counts
+    place('#logo', { top: 0, width: 300, height: 300 });
+    place('#hero', { left: -500, top: 100, width: 2000, height: 600 });
+    place('#footer', { top: 2000, width: 1024, height: 800 });
+    place('#pinned', { top: 3000, width: 100, height: 100 });
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+  });
+
+  test('loads the largest visible image eagerly with high priority', () => {
+    optimizer = new Quacktize({ plugins: [priorityHintsPlugin] }).init();
+    const hero = document.getElementById('hero');
+
+    expect(hero.getAttribute('src')).toBe('/hero.jpg');
+    expect(hero.getAttribute('srcset')).toBe('/hero-800.jpg 800w, /hero-1600.jpg 1600w');
+    expect(hero.getAttribute('loading')).toBe('eager');
+    expect(hero.getAttribute('fetchpriority')).toBe('high');
+
+    const [link] = preloads();
+    expect(preloads()).toHaveLength(1);
+    expect(link.getAttribute('href')).toBe('/hero.jpg');
+    expect(link.getAttribute('imagesrcset')).toBe('/hero-800.jpg 800w, /hero-1600.jpg 1600w');
+    expect(link.getAttribute('imagesizes')).toBe('100vw');
+    expect(link.getAttribute('fetchpriority')).toBe('high');
+  });
+
+  test('lowers the priority of resources below the fold and async scripts', () => {
+    optimizer = new Quacktize({ plugins: [priorityHintsPlugin] }).init();
+    const priority = id => document.getElementById(id).getAttribute('fetchpriority');
+
+    expect(priority('logo')).toBeNull();
+    expect(priority('footer')).toBe('low');
+    expect(priority('pinned')).toBe('auto');
+    expect(priority('tag')).toBe('low');
+    expect(priority('critical')).toBeNull();
+  });
+
+  test('prefers images marked with data-priority', () => {
+    document.getElementById('footer').setAttribute('data-priority', '');
+    optimizer = new Quacktize({ plugins: [priorityHintsPlugin] }).init();
+
+    expect(document.getElementById('footer').getAttribute('fetchpriority')).toBe('high');
+    expect(document.getElementById('hero').hasAttribute('fetchpriority')).toBe(false);
+    expect(preloads().map(link => link.getAttribute('href'))).toEqual(['/footer.png']);
+  });
+
+  test('skips the preload when one exists, for pictures and when switched off', () => {
+    document.head.innerHTML = '<link rel="preload" as="image" href="/hero.jpg">';
+    optimizer = new Quacktize({ plugins: [priorityHintsPlugin] }).init();
+    expect(preloads()).toHaveLength(1);
+    optimizer.destroy({ removeInjected: true });
+
+    document.head.innerHTML = '';
+    document.body.innerHTML = '<picture><source srcset="/hero.avif" type="image/avif"><img id="hero" src="/hero.jpg"></picture>';
+    place('#hero', { top: 0, width: 800, height: 600 });
+    optimizer = new Quacktize({ plugins: [priorityHintsPlugin] }).init();
+    expect(document.getElementById('hero').getAttribute('fetchpriority')).toBe('high');
+    expect(preloads()).toHaveLength(0);
+    optimizer.destroy({ removeInjected: true });
+
+    document.body.innerHTML = '<img id="hero" src="/hero.jpg">';
+    place('#hero', { top: 0, width: 800, height: 600 });
+    optimizer = new Quacktize({ plugins: [priorityHintsPlugin], lcpPreload: false }).init();
+    expect(preloads()).toHaveLength(0);
+  });
+});
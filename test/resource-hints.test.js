@@ -0,0 +1,52 @@
+import { Quacktize } from '../src/core';
+import { resourceHintsPlugin } from '../src/plugins/resource-hints';
+
+/**
+ * Wait for origin scoring to finish
+ * @param {number} [ms=20] - Time to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('resource hints plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    jest.restoreAllMocks();
+  });
+
+  test('preconnects to configured origins', async () => {
+    optimizer = new Quacktize({ plugins: [resourceHintsPlugin], preconnect: ['https://cdn.example.com/lib.js'] }).init();
+    await wait();
+
+    const link = document.head.querySelector('link[rel="preconnect"]');
+    expect(link.getAttribute('href')).toBe('https://cdn.example.com');
+  });
+
+  test('logs errors instead of rejecting', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const error = new Error('Cannot score');
+    const plugin = {
+      ...resourceHintsPlugin,
+      methods: {
+        ...resourceHintsPlugin.methods,
+        _scoreOrigins() {
+          return Promise.reject(error);
+        }
+      }
+    };
+
+    optimizer = new Quacktize({ plugins: [plugin], debug: true }).init();
+    await wait();
+
+    expect(log).toHaveBeenCalledWith('[Quacktize]', 'Could not add resource hints:', error);
+  });
+});
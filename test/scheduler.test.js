@@ -0,0 +1,70 @@
+import { postTask, yieldToMain } from '../src/scheduler';
+
+describe('scheduler', () => {
+  afterEach(() => {
+    delete window.scheduler;
+    delete window.requestIdleCallback;
+    delete window.cancelIdleCallback;
+  });
+
+  test('uses the native scheduler when the browser has one', async () => {
+    window.scheduler = {
+      postTask: jest.fn(callback => Promise.resolve(callback())),
+      yield: jest.fn(() => Promise.resolve())
+    };
+
+    await expect(postTask(() => 'done', { priority: 'user-visible', delay: 5 })).resolves.toBe('done');
+    expect(window.scheduler.postTask).toHaveBeenCalledWith(expect.any(Function), { priority: 'user-visible', delay: 5, signal: undefined });
+
+    await yieldToMain();
+    expect(window.scheduler.yield).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs tasks in a later task without the native scheduler', async () => {
+    const order = [];
+    const task = postTask(() => {
+      order.push('task');
+      return 'done';
+    }, { priority: 'user-blocking' });
+    order.push('sync');
+
+    await expect(task).resolves.toBe('done');
+    expect(order).toEqual(['sync', 'task']);
+  });
+
+  test('waits for idle time for background tasks', async () => {
+    let idle = null;
+    window.requestIdleCallback = jest.fn(callback => {
+      idle = callback;
+      return 1;
+    });
+    window.cancelIdleCallback = jest.fn();
+
+    const task = postTask(() => 'idle');
+    expect(window.requestIdleCallback).toHaveBeenCalledWith(expect.any(Function), { timeout: 2000 });
+
+    idle();
+    await expect(task).resolves.toBe('idle');
+  });
+
+  test('rejects with errors thrown by the task', async () => {
+    await expect(postTask(() => {
+      throw new Error('Task failed');
+    }, { priority: 'user-visible' })).rejects.toThrow('Task failed');
+  });
+
+  test('cancels tasks whose signal aborts before they run', async () => {
+    const callback = jest.fn();
+    const controller = new AbortController();
+    const task = postTask(callback, { priority: 'user-visible', delay: 10, signal: controller.signal });
+
+    controller.abort();
+    await expect(task).rejects.toMatchObject({ name: 'AbortError' });
+
+    const reason = new Error('Navigated away');
+    await expect(postTask(callback, { signal: AbortSignal.abort(reason) })).rejects.toBe(reason);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
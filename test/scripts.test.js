@@ -0,0 +1,112 @@
+import { Quacktize } from '../src/core';
+import { deferJSPlugin } from '../src/plugins/scripts';
+
+/**
+ * Let pending timers and promises settle
+ * @param {number} [ms=0] - Time to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('script loader plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    optimizer.destroy({ removeInjected: true });
+    delete window.IntersectionObserver;
+  });
+
+  test('loads visible scripts near the viewport without the lazy load plugin', async () => {
+    const observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        observers.push(this);
+      }
+
+      observe() {}
+
+      disconnect() {}
+    };
+    document.body.innerHTML = '<div id="map"><script type="text/quacktize" data-strategy="visible">window.mapLoaded = true;</script></div>';
+
+    optimizer = new Quacktize({ plugins: [deferJSPlugin] }).init();
+    expect(observers[0].options.rootMargin).toBe('200px');
+    expect(window.mapLoaded).toBeUndefined();
+
+    observers[0].callback([{ isIntersecting: true }]);
+    await wait();
+    expect(document.querySelectorAll('#map script')).toHaveLength(2);
+  });
+
+  test('schedules placeholders again when switched back on before they ran', async () => {
+    document.body.innerHTML = '<div id="widget"><script type="text/quacktize">window.widgetRuns = (window.widgetRuns || 0) + 1;</script></div>';
+    optimizer = new Quacktize({ plugins: [deferJSPlugin] }).init();
+
+    optimizer.updateConfig({ deferJS: false });
+    await wait(5);
+    expect(document.querySelectorAll('#widget script')).toHaveLength(1);
+
+    optimizer.updateConfig({ deferJS: true });
+    await wait(5);
+    expect(document.querySelectorAll('#widget script')).toHaveLength(2);
+
+    // Scripts that ran are not run again
+    optimizer.destroy().init();
+    await wait(5);
+    expect(document.querySelectorAll('#widget script')).toHaveLength(2);
+  });
+
+  test('loads a script again after it failed', async () => {
+    optimizer = new Quacktize({ plugins: [deferJSPlugin] }).init();
+
+    const errors = [];
+    const record = e => errors.push(e.detail.src);
+    document.addEventListener('quacktize:scripterror', record);
+
+    const failed = optimizer.loadScript('/widget.js');
+    await wait();
+    document.head.querySelector('script[src$="/widget.js"]').dispatchEvent(new Event('error'));
+    await expect(failed).rejects.toThrow('Failed to load script: http://localhost/widget.js');
+    document.removeEventListener('quacktize:scripterror', record);
+    expect(errors).toEqual(['http://localhost/widget.js']);
+    expect(document.head.querySelector('script[src$="/widget.js"]')).toBeNull();
+
+    const loaded = optimizer.loadScript('/widget.js');
+    await wait();
+    const script = document.head.querySelector('script[src$="/widget.js"]');
+    script.dispatchEvent(new Event('load'));
+    await expect(loaded).resolves.toBe(script);
+    expect(optimizer.loadScript('/widget.js')).toBe(loaded);
+  });
+
+  test('waits for dependencies on placeholders later in the document', async () => {
+    document.body.innerHTML = `
+      <script type="text/quacktize" data-after="b" data-strategy="load">window.order = (window.order || []).concat('a');</script>
+      <script type="text/quacktize" data-id="b">window.order = (window.order || []).concat('b');</script>`;
+    optimizer = new Quacktize({ plugins: [deferJSPlugin] }).init();
+    await wait(5);
+
+    expect(window.order).toEqual(['b', 'a']);
+    delete window.order;
+  });
+
+  test('rejects circular dependencies instead of recursing', async () => {
+    document.body.innerHTML = `
+      <script type="text/quacktize" data-id="a" data-after="b" data-strategy="interaction"></script>
+      <script type="text/quacktize" data-id="b" data-after="a" data-strategy="interaction"></script>
+      <script type="text/quacktize" data-id="c" data-after="c" data-strategy="interaction"></script>`;
+    optimizer = new Quacktize({ plugins: [deferJSPlugin] }).init();
+
+    await expect(optimizer.loadScript('a')).rejects.toThrow('Circular script dependency: a -> b -> a');
+    await expect(optimizer.loadScript('c')).rejects.toThrow('Circular script dependency: c -> c');
+  });
+});
@@ -0,0 +1,103 @@
+import { Quacktize } from '../src/core';
+import { smoothScrollPlugin } from '../src/plugins/smooth-scroll';
+
+describe('smooth scroll plugin', () => {
+  let optimizer;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<meta name="viewport" content="width=device-width">';
+    document.body.innerHTML = `
+      <section id="main"><h2 id="1-intro">Intro</h2></section>
+      <main>Content</main>
+      <a name="legacy">Legacy anchor</a>
+      <a id="to-intro" href="#1-intro">Intro</a>
+      <a id="to-viewport" href="#viewport">Viewport</a>
+      <a id="to-other" href="/other#1-intro">Other page</a>`;
+    window.history.replaceState(null, '', '/');
+
+    // Take the immediate path instead of animating
+    window.matchMedia = () => ({ matches: true });
+    jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+    optimizer = new Quacktize({ plugins: [smoothScrollPlugin] }).init();
+  });
+
+  afterEach(() => {
+    optimizer.destroy();
+    delete window.matchMedia;
+    jest.restoreAllMocks();
+  });
+
+  test('scrolls to ids that are not valid selectors and focuses them', () => {
+    optimizer.scrollTo('#1-intro');
+
+    const heading = document.getElementById('1-intro');
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+    expect(document.activeElement).toBe(heading);
+    expect(heading.getAttribute('tabindex')).toBe('-1');
+    expect(window.location.hash).toBe('#1-intro');
+  });
+
+  test('treats strings without # as selectors', () => {
+    optimizer.scrollTo('main', { history: false });
+
+    expect(document.activeElement).toBe(document.querySelector('main'));
+  });
+
+  test('only matches anchors by name', () => {
+    optimizer.scrollTo('#legacy', { history: false });
+    expect(document.activeElement).toBe(document.querySelector('a[name="legacy"]'));
+
+    optimizer.scrollTo('#viewport');
+    expect(document.querySelector('meta').hasAttribute('tabindex')).toBe(false);
+    expect(window.location.hash).toBe('');
+  });
+
+  test('handles clicks on links to fragments of this page', () => {
+    const click = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    document.getElementById('to-intro').dispatchEvent(click);
+
+    expect(click.defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(document.getElementById('1-intro'));
+    expect(window.location.hash).toBe('#1-intro');
+  });
+
+  test('handles links added after init and inside shadow roots', () => {
+    document.body.insertAdjacentHTML('beforeend', '<a id="later" href="#main">Later</a><div id="host"></div>');
+    const shadow = document.getElementById('host').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<a href="#1-intro"><span>Shadow</span></a>';
+
+    document.getElementById('later').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+    expect(document.activeElement).toBe(document.getElementById('main'));
+
+    const click = new MouseEvent('click', { bubbles: true, cancelable: true, composed: true, button: 0 });
+    shadow.querySelector('span').dispatchEvent(click);
+    expect(click.defaultPrevented).toBe(true);
+    expect(window.location.hash).toBe('#1-intro');
+  });
+
+  test('leaves modified clicks and links with a target alone', () => {
+    const link = document.getElementById('to-intro');
+    const modified = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ctrlKey: true });
+    link.dispatchEvent(modified);
+
+    link.target = '_blank';
+    const targeted = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    link.dispatchEvent(targeted);
+
+    expect([modified.defaultPrevented, targeted.defaultPrevented]).toEqual([false, false]);
+    expect(window.scrollTo).not.toHaveBeenCalled();
+    expect(document.activeElement).toBe(document.body);
+  });
+
+  test('leaves other links to the browser', () => {
+    const links = ['to-viewport', 'to-other'].map(id => document.getElementById(id));
+    const clicks = links.map(link => {
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+      link.dispatchEvent(click);
+      return click;
+    });
+
+    expect(clicks.map(click => click.defaultPrevented)).toEqual([false, false]);
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+});